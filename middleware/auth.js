@@ -2,6 +2,30 @@ const jwt = require('jsonwebtoken');
 const { google } = require('googleapis');
 const { logError } = require('./errorHandler');
 const apiKeyManager = require('../services/apiKeyManager');
+const { resolveScopes, hasScope, isFolderAllowed } = require('../services/apiKeyScopes');
+
+/**
+ * Add deprecation headers when a request uses a legacy key format
+ */
+const warnIfLegacyKey = (res, apiKey) => {
+  if (!apiKeyManager.parseApiKey(apiKey)?.legacy) return;
+
+  const sunset = apiKeyManager.getLegacyKeySunset();
+  const deadline = sunset ? ` and stops working on ${sunset.toISOString()}` : '';
+
+  res.set('Deprecation', 'true');
+  if (sunset) res.set('Sunset', sunset.toUTCString());
+  res.set('Warning', `299 - "This API key format is deprecated${deadline}; generate a new key with POST /api/auth/regenerate"`);
+};
+
+/**
+ * Add a warning header when a key has been rotated and only works until its grace period ends
+ */
+const warnIfRotatedKey = (res, keyData) => {
+  if (!keyData.replacedBy || !keyData.expiresAt) return;
+
+  res.append('Warning', `299 - "This API key was replaced by md2doc_${keyData.replacedBy} and stops working on ${new Date(keyData.expiresAt).toISOString()}"`);
+};
 
 /**
  * Middleware to authenticate users via API Key
@@ -13,7 +37,7 @@ const authenticateUser = async (req, res, next) => {
     const apiKey = req.headers['x-api-key'];
     
     console.log(`🔐 [${requestId}] Authentication attempt from IP: ${req.ip}`);
-    console.log(`🔑 [${requestId}] API Key provided: ${apiKey ? apiKey.substring(0, 15) + '...' : 'NONE'}`);
+    console.log(`🔑 [${requestId}] API Key provided: ${apiKey ? 'yes' : 'NONE'}`);
     
     if (!apiKey) {
       console.log(`❌ [${requestId}] No API key provided`);
@@ -24,23 +48,42 @@ const authenticateUser = async (req, res, next) => {
       });
     }
 
-    // Validate API key format
-    if (!apiKey.startsWith('md2doc_')) {
-      console.log(`❌ [${requestId}] Invalid API key format: ${apiKey}`);
+    // Validate API key format and checksum before any lookup
+    const parsedKey = apiKeyManager.parseApiKey(apiKey);
+    if (!parsedKey) {
+      console.log(`❌ [${requestId}] Invalid API key format`);
       return res.status(401).json({
         error: 'Invalid API key format',
-        message: 'API key must start with "md2doc_"',
+        message: 'API key is malformed or mistyped - check that it was copied in full',
         requestId
       });
     }
 
+    // Short legacy keys are their own secret, so only their format is logged
+    const keyName = parsedKey.keyId || 'short legacy key';
+    console.log(`🔑 [${requestId}] API key id: ${keyName}`);
+
+    if (parsedKey.legacy) {
+      if (apiKeyManager.isLegacyKeyRetired()) {
+        console.log(`❌ [${requestId}] Legacy API key rejected: ${keyName}`);
+        return res.status(401).json({
+          error: 'API key format no longer supported',
+          message: 'Please authenticate again to get a new API key',
+          requestId
+        });
+      }
+
+      console.log(`⚠️  [${requestId}] Legacy API key used: ${keyName}`);
+      warnIfLegacyKey(res, apiKey);
+    }
+
     console.log(`🔍 [${requestId}] Looking up API key in storage...`);
 
     // Get user data from API key
     const userData = await apiKeyManager.getUserByApiKey(apiKey);
     
     if (!userData) {
-      console.log(`❌ [${requestId}] API key not found in storage: ${apiKey}`);
+      console.log(`❌ [${requestId}] API key not found in storage: ${keyName}`);
       return res.status(401).json({
         error: 'Invalid or expired API key',
         message: 'Please authenticate again to get a new API key',
@@ -52,7 +95,7 @@ const authenticateUser = async (req, res, next) => {
 
     // Check if API key is active
     if (!userData.active) {
-      console.log(`❌ [${requestId}] API key is inactive: ${apiKey}`);
+      console.log(`❌ [${requestId}] API key is inactive: ${userData.keyId}`);
       return res.status(401).json({
         error: 'API key has been revoked',
         message: 'Please authenticate again to get a new API key',
@@ -60,6 +103,8 @@ const authenticateUser = async (req, res, next) => {
       });
     }
 
+    warnIfRotatedKey(res, userData);
+
     console.log(`🔍 [${requestId}] API key is active, checking Google credentials...`);
 
     // Get authenticated Google client
@@ -78,7 +123,7 @@ const authenticateUser = async (req, res, next) => {
         console.log(`🔄 [${requestId}] Token expired, attempting refresh...`);
         // Token might be expired, trigger refresh
         try {
-          await apiKeyManager.refreshUserTokens(apiKey);
+          await apiKeyManager.refreshUserTokens(userData.keyId);
           console.log(`✅ [${requestId}] Token refresh successful`);
           
           // Get updated data after refresh
@@ -106,13 +151,15 @@ const authenticateUser = async (req, res, next) => {
     // Attach user authentication data to request
     req.userAuth = {
       requestId: requestId,
-      apiKey: apiKey,
+      keyId: userData.keyId,
       userId: userData.userId,
       email: userData.email,
       name: userData.name,
       accessToken: userData.accessToken,
       refreshToken: userData.refreshToken,
       tokenExpiry: userData.tokenExpiry,
+      scopes: resolveScopes(userData),
+      folderIds: userData.folderIds || null,
       authClient: apiKeyManager.getAuthenticatedClient(userData)
     };
 
@@ -202,8 +249,107 @@ const requireScopes = (requiredScopes) => {
   };
 };
 
+/**
+ * Send the 403 for an API key that lacks a scope
+ */
+const sendMissingScope = (res, scope, requestId) => {
+  res.status(403).json({
+    error: 'Insufficient permissions',
+    message: `This API key does not have the "${scope}" scope`,
+    missingScope: scope,
+    requestId
+  });
+};
+
+/**
+ * Middleware to require an API key scope - runs after authenticateUser
+ */
+const requireKeyScope = (scope) => {
+  return (req, res, next) => {
+    if (!hasScope(req.userAuth, scope)) {
+      console.log(`🚫 [${req.userAuth.requestId}] API key ${req.userAuth.keyId} is missing scope: ${scope}`);
+      return sendMissingScope(res, scope, req.userAuth.requestId);
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to keep folder-restricted keys to their folders when creating files.
+ * `getFolderIds` returns the target folder of every file the request creates.
+ */
+const requireFolderAccess = (getFolderIds) => {
+  return (req, res, next) => {
+    const { folderIds, requestId } = req.userAuth;
+
+    if (getFolderIds(req).some(folderId => !isFolderAllowed(req.userAuth, folderId))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `This API key can only create files in folders: ${folderIds.join(', ')}`,
+        allowedFolders: folderIds,
+        requestId
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Middleware to keep folder-restricted keys to documents in their folders.
+ * Only a document's direct parent folders are checked.
+ */
+const requireDocumentAccess = async (req, res, next) => {
+  const { folderIds, requestId, authClient } = req.userAuth;
+  if (!folderIds) return next();
+
+  try {
+    const drive = google.drive({ version: 'v3', auth: authClient });
+    const { data } = await drive.files.get({
+      fileId: req.params.documentId,
+      fields: 'parents'
+    });
+
+    if (!(data.parents || []).some(folderId => isFolderAllowed(req.userAuth, folderId))) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: `This API key can only access documents in folders: ${folderIds.join(', ')}`,
+        allowedFolders: folderIds,
+        requestId
+      });
+    }
+
+    next();
+
+  } catch (error) {
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    logError('Document folder check failed', {
+      requestId,
+      documentId: req.params.documentId,
+      error: error.message
+    });
+
+    res.status(500).json({
+      error: 'Permission verification failed',
+      requestId
+    });
+  }
+};
+
 module.exports = {
   authenticateUser,
+  warnIfLegacyKey,
+  warnIfRotatedKey,
+  sendMissingScope,
+  requireKeyScope,
+  requireFolderAccess,
+  requireDocumentAccess,
   optionalAuth,
   requireScopes
 };
\ No newline at end of file
@@ -0,0 +1,130 @@
+const { body } = require('express-validator');
+const { findUnknownExtensions } = require('../services/markdownPreprocessor');
+const { getProfile } = require('../services/styleProfiles');
+const { THEMES } = require('../services/codeHighlighter');
+const { INPUT_FORMATS } = require('../services/inputConverter');
+
+/**
+ * Validate an optional list of preprocessing extension names
+ */
+const extensionsValidation = (field) => body(field)
+  .optional()
+  .isArray()
+  .withMessage('Extensions must be an array of extension names')
+  .bail()
+  .custom((names) => {
+    const unknown = findUnknownExtensions(names);
+    if (unknown.length > 0) {
+      throw new Error(`Unknown extensions: ${unknown.join(', ')}`);
+    }
+    return true;
+  });
+
+// Validation shared by every route that creates a Drive file from markdown
+const sourceValidation = [
+  body('content')
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Content must be between 1 character and 1MB'),
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .trim()
+    .withMessage('Title cannot exceed 200 characters'),
+  body('folderId')
+    .optional()
+    .isString()
+    .withMessage('Folder ID must be a string'),
+  body('sharing')
+    .optional()
+    .isObject()
+    .withMessage('Sharing settings must be an object'),
+  body('images')
+    .optional()
+    .isObject()
+    .withMessage('Images must be an object mapping paths to base64 data')
+];
+
+// Validation shared by every route that creates a document from markdown
+const conversionValidation = [
+  ...sourceValidation,
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Description must be a string of up to 10000 characters'),
+  body('appProperties')
+    .optional()
+    .isObject()
+    .withMessage('App properties must be an object'),
+  extensionsValidation('extensions'),
+  body('styling')
+    .optional()
+    .isObject()
+    .withMessage('Styling must be an object'),
+  body('styling.profile')
+    .if(body('styling').exists())
+    .isString()
+    .withMessage('Styling profile name is required')
+    .bail()
+    .custom(async (name) => {
+      if (!(await getProfile(name))) {
+        throw new Error(`Unknown style profile "${name}"`);
+      }
+      return true;
+    }),
+  body(['styling.header', 'styling.footer'])
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Header and footer must be strings of up to 500 characters'),
+  body('codeHighlighting')
+    .optional()
+    .custom((value) => {
+      if (typeof value === 'boolean') return true;
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Code highlighting must be true or an object with a theme');
+      }
+
+      if (value.theme !== undefined && !THEMES[value.theme]) {
+        throw new Error(`Unknown highlighting theme "${value.theme}". Available themes: ${Object.keys(THEMES).join(', ')}`);
+      }
+      return true;
+    }),
+  body('lint')
+    .optional()
+    .custom((value) => {
+      if (typeof value === 'boolean') return true;
+
+      if (!value || typeof value !== 'object' || Array.isArray(value)) {
+        throw new Error('Lint must be true or an object with a strict flag');
+      }
+
+      if (value.strict !== undefined && typeof value.strict !== 'boolean') {
+        throw new Error('Lint strict must be a boolean');
+      }
+      return true;
+    })
+];
+
+// Templates are always markdown, so the source format is only accepted by the direct routes
+const inputFormatValidation = body('inputFormat')
+  .optional()
+  .isIn(Object.keys(INPUT_FORMATS))
+  .withMessage(`Input format must be one of: ${Object.keys(INPUT_FORMATS).join(', ')}`)
+  .bail()
+  .custom((format, { req }) => {
+    const markdownOnly = ['extensions', 'codeHighlighting', 'images', 'lint'].filter(field => req.body[field] !== undefined);
+
+    if (format !== 'markdown' && markdownOnly.length > 0) {
+      throw new Error(`${markdownOnly.join(', ')} only apply to markdown input`);
+    }
+    return true;
+  });
+
+module.exports = {
+  extensionsValidation,
+  sourceValidation,
+  conversionValidation,
+  inputFormatValidation
+};
@@ -4,6 +4,8 @@ const jwt = require('jsonwebtoken');
 const { body, query, validationResult } = require('express-validator');
 const { logError } = require('../middleware/errorHandler');
 const apiKeyManager = require('../services/apiKeyManager');
+const { warnIfLegacyKey, warnIfRotatedKey, sendMissingScope } = require('../middleware/auth');
+const { API_KEY_SCOPES, resolveScopes, hasScope, checkDelegation } = require('../services/apiKeyScopes');
 
 const router = express.Router();
 
@@ -22,14 +24,49 @@ if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET || !proce
   console.log('✅ Google OAuth2 client configured successfully');
 }
 
-// Required scopes for Google Drive and Docs
+// Required scopes for Google Drive, Docs, Slides and Sheets
 const SCOPES = [
   'https://www.googleapis.com/auth/drive.file',
   'https://www.googleapis.com/auth/documents',
+  'https://www.googleapis.com/auth/presentations',
+  'https://www.googleapis.com/auth/spreadsheets',
   'https://www.googleapis.com/auth/userinfo.profile',
   'https://www.googleapis.com/auth/userinfo.email'
 ];
 
+// How long a rotated key keeps working when the request doesn't say
+const DEFAULT_ROTATION_GRACE_HOURS = parseFloat(process.env.API_KEY_ROTATION_GRACE_HOURS) || 24;
+
+/**
+ * Find one of the user's keys by its key id or the prefix shown in key listings.
+ * Full keys aren't stored, so these are the only ways to name another key.
+ */
+async function findOwnedKey(userData, keyParam) {
+  const prefix = keyParam.match(/^(?:md2doc_)?([0-9a-f]{8})$/);
+  const keyId = prefix ? prefix[1] : apiKeyManager.getKeyId(keyParam);
+  const keyData = keyId && await apiKeyManager.getKeyData(keyId);
+
+  return keyData && keyData.userId === userData.userId ? keyData : null;
+}
+
+/**
+ * Validators for the label and expiry date accepted when creating or updating a key
+ */
+const keyDetailsValidators = [
+  body('label')
+    .optional({ nullable: true })
+    .isString()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Label must be at most 100 characters'),
+  body('expiresAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Expiry date must be an ISO 8601 date')
+    .custom(value => new Date(value).getTime() > Date.now())
+    .withMessage('Expiry date must be in the future')
+];
+
 /**
  * Generate authentication URL for Google OAuth2
  * @route GET /api/auth/google
@@ -136,7 +173,7 @@ router.get('/callback', [
           name: userInfo.data.name,
           picture: userInfo.data.picture
         },
-        message: 'Authentication successful - save this API key for future requests',
+        message: 'Authentication successful - save this API key now, it will not be shown again',
         usage: {
           header: 'X-API-Key',
           example: `X-API-Key: ${apiKey}`
@@ -267,6 +304,8 @@ router.get('/user', async (req, res) => {
     if (!userData) {
       return res.status(401).json({ error: 'Invalid or expired API key' });
     }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
     
     res.json({
       user: {
@@ -276,6 +315,14 @@ router.get('/user', async (req, res) => {
         picture: userData.picture
       },
       apiKey: {
+        keyId: userData.keyId,
+        prefix: `md2doc_${userData.keyId}`,
+        label: userData.label || null,
+        status: userData.replacedBy ? 'rotated' : 'active',
+        expiresAt: userData.expiresAt,
+        replacedBy: userData.replacedBy || null,
+        scopes: resolveScopes(userData),
+        folderIds: userData.folderIds || null,
         createdAt: userData.createdAt,
         lastUsed: userData.lastUsed,
         tokenExpiry: userData.tokenExpiry
@@ -306,8 +353,14 @@ router.get('/keys', async (req, res) => {
     if (!userData) {
       return res.status(401).json({ error: 'Invalid or expired API key' });
     }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
 
-    const userKeys = apiKeyManager.getUserApiKeys(userData.userId);
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
+
+    const userKeys = await apiKeyManager.getUserApiKeys(userData.userId);
     
     res.json({
       success: true,
@@ -325,7 +378,7 @@ router.get('/keys', async (req, res) => {
 });
 
 /**
- * Revoke an API key
+ * Revoke an API key by its key id or the prefix shown in key listings
  * @route DELETE /api/auth/keys/:keyId
  */
 router.delete('/keys/:keyId', async (req, res) => {
@@ -341,14 +394,29 @@ router.delete('/keys/:keyId', async (req, res) => {
     if (!userData) {
       return res.status(401).json({ error: 'Invalid or expired API key' });
     }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
+
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
 
     // Check if the key to revoke belongs to this user
-    const keyData = await apiKeyManager.getUserByApiKey(keyToRevoke);
-    if (!keyData || keyData.userId !== userData.userId) {
+    const keyData = await findOwnedKey(userData, keyToRevoke);
+    if (!keyData) {
       return res.status(403).json({ error: 'Cannot revoke API key that does not belong to you' });
     }
 
-    const revoked = await apiKeyManager.revokeApiKey(keyToRevoke);
+    // A key may only manage keys it could have created itself
+    const delegationError = checkDelegation(userData, keyData);
+    if (delegationError) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: delegationError
+      });
+    }
+
+    const revoked = await apiKeyManager.revokeApiKey(keyData.keyId);
     
     if (revoked) {
       res.json({
@@ -369,7 +437,261 @@ router.delete('/keys/:keyId', async (req, res) => {
 });
 
 /**
- * Generate a new API key (re-authenticate)
+ * Create an API key limited to some scopes and, optionally, some Drive folders,
+ * with an optional label and expiry date. Omitted scopes are copied from the current key.
+ * The new key can't do anything, or last any longer than, the key creating it.
+ * @route POST /api/auth/keys
+ */
+router.post('/keys', [
+  body('scopes')
+    .optional()
+    .isArray({ min: 1 })
+    .withMessage('Scopes must be a non-empty array'),
+  body('scopes.*')
+    .isIn(Object.keys(API_KEY_SCOPES))
+    .withMessage(`Scopes must be some of: ${Object.keys(API_KEY_SCOPES).join(', ')}`),
+  body('folderIds')
+    .optional()
+    .isArray({ min: 1, max: 20 })
+    .withMessage('Folder IDs must be an array of 1 to 20 Drive folder IDs'),
+  body('folderIds.*')
+    .matches(/^[A-Za-z0-9_-]+$/)
+    .withMessage('Folder IDs must be Drive folder IDs'),
+  ...keyDetailsValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key required in X-API-Key header' });
+    }
+
+    const userData = await apiKeyManager.getUserByApiKey(apiKey);
+    if (!userData) {
+      return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
+
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
+
+    const restrictions = {
+      scopes: req.body.scopes ? [...new Set(req.body.scopes)] : userData.scopes || null,
+      folderIds: req.body.folderIds ? [...new Set(req.body.folderIds)] : null,
+      expiresAt: req.body.expiresAt ? new Date(req.body.expiresAt) : null
+    };
+
+    const delegationError = checkDelegation(userData, restrictions);
+    if (delegationError) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: delegationError
+      });
+    }
+
+    const label = req.body.label || null;
+    const newApiKey = await apiKeyManager.createSiblingKey(userData, { ...restrictions, label });
+
+    res.status(201).json({
+      success: true,
+      apiKey: newApiKey,
+      keyId: apiKeyManager.getKeyId(newApiKey),
+      label,
+      ...restrictions,
+      scopes: resolveScopes(restrictions),
+      message: 'API key created - save it now, it will not be shown again',
+      usage: {
+        header: 'X-API-Key',
+        example: `X-API-Key: ${newApiKey}`
+      }
+    });
+
+  } catch (error) {
+    logError('Scoped API key creation failed', error);
+    res.status(500).json({ 
+      error: 'Failed to create API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Change a key's label, or set or bring forward its expiry date
+ * @route PATCH /api/auth/keys/:keyId
+ */
+router.patch('/keys/:keyId', keyDetailsValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key required in X-API-Key header' });
+    }
+
+    const userData = await apiKeyManager.getUserByApiKey(apiKey);
+    if (!userData) {
+      return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
+
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
+
+    const keyData = await findOwnedKey(userData, req.params.keyId);
+    if (!keyData) {
+      return res.status(403).json({ error: 'Cannot update API key that does not belong to you' });
+    }
+
+    // A key may only manage keys it could have created itself
+    const delegationError = checkDelegation(userData, keyData);
+    if (delegationError) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: delegationError
+      });
+    }
+
+    const changes = {};
+    if (req.body.label !== undefined) changes.label = req.body.label || null;
+    if (req.body.expiresAt !== undefined) changes.expiresAt = new Date(req.body.expiresAt);
+
+    if (Object.keys(changes).length === 0) {
+      return res.status(400).json({ error: 'Provide a label or expiresAt to update' });
+    }
+
+    if (changes.expiresAt && keyData.expiresAt && changes.expiresAt > keyData.expiresAt) {
+      return res.status(422).json({
+        error: 'Expiry date can only be brought forward',
+        message: 'Rotate the key to get a replacement with a new lifetime'
+      });
+    }
+
+    const updated = await apiKeyManager.updateApiKey(keyData.keyId, changes);
+
+    res.json({
+      success: true,
+      keyId: updated.keyId,
+      label: updated.label || null,
+      expiresAt: updated.expiresAt
+    });
+
+  } catch (error) {
+    logError('Update API key failed', error);
+    res.status(500).json({ 
+      error: 'Failed to update API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Replace a key with a new one that has the same label, scopes and folders.
+ * The old key keeps working for gracePeriodHours (default API_KEY_ROTATION_GRACE_HOURS)
+ * so clients can be switched over, then expires.
+ * @route POST /api/auth/keys/:keyId/rotate
+ */
+router.post('/keys/:keyId/rotate', [
+  body('gracePeriodHours')
+    .optional()
+    .isFloat({ min: 0, max: 720 })
+    .withMessage('Grace period must be between 0 and 720 hours')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ 
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const apiKey = req.headers['x-api-key'];
+    if (!apiKey) {
+      return res.status(401).json({ error: 'API key required in X-API-Key header' });
+    }
+
+    const userData = await apiKeyManager.getUserByApiKey(apiKey);
+    if (!userData) {
+      return res.status(401).json({ error: 'Invalid or expired API key' });
+    }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
+
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
+
+    const keyData = await findOwnedKey(userData, req.params.keyId);
+    if (!keyData) {
+      return res.status(403).json({ error: 'Cannot rotate API key that does not belong to you' });
+    }
+
+    // A key may only manage keys it could have created itself
+    const delegationError = checkDelegation(userData, keyData);
+    if (delegationError) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: delegationError
+      });
+    }
+
+    const gracePeriodHours = req.body.gracePeriodHours !== undefined
+      ? parseFloat(req.body.gracePeriodHours)
+      : DEFAULT_ROTATION_GRACE_HOURS;
+
+    const rotated = await apiKeyManager.rotateApiKey(keyData.keyId, gracePeriodHours * 60 * 60 * 1000, {
+      maxExpiresAt: userData.expiresAt
+    });
+    if (!rotated) {
+      return res.status(409).json({
+        error: 'API key cannot be rotated',
+        message: 'Only active keys that have not already been rotated can be rotated'
+      });
+    }
+
+    res.status(201).json({
+      success: true,
+      apiKey: rotated.apiKey,
+      keyId: rotated.keyId,
+      previousKey: {
+        keyId: keyData.keyId,
+        expiresAt: rotated.previousKeyExpiresAt
+      },
+      message: 'API key rotated - save the new key now, it will not be shown again',
+      usage: {
+        header: 'X-API-Key',
+        example: `X-API-Key: ${rotated.apiKey}`
+      }
+    });
+
+  } catch (error) {
+    logError('API key rotation failed', error);
+    res.status(500).json({ 
+      error: 'Failed to rotate API key',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Generate a new API key with the same label, scopes, folders and expiry as the current one
  * @route POST /api/auth/regenerate
  */
 router.post('/regenerate', async (req, res) => {
@@ -383,18 +705,19 @@ router.post('/regenerate', async (req, res) => {
     if (!userData) {
       return res.status(401).json({ error: 'Invalid or expired API key' });
     }
+    warnIfLegacyKey(res, apiKey);
+    warnIfRotatedKey(res, userData);
+
+    if (!hasScope(userData, 'keys:manage')) {
+      return sendMissingScope(res, 'keys:manage');
+    }
 
     // Create new API key with existing tokens
-    const newApiKey = await apiKeyManager.createApiKey({
-      id: userData.userId,
-      email: userData.email,
-      name: userData.name,
-      picture: userData.picture
-    }, {
-      access_token: userData.accessToken,
-      refresh_token: userData.refreshToken,
-      expiry_date: userData.tokenExpiry?.getTime(),
-      scope: userData.scope
+    const newApiKey = await apiKeyManager.createSiblingKey(userData, {
+      scopes: userData.scopes || null,
+      folderIds: userData.folderIds || null,
+      label: userData.label || null,
+      expiresAt: userData.expiresAt || null
     });
 
     res.json({
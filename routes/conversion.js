@@ -1,12 +1,33 @@
 const express = require('express');
+const { pipeline } = require('stream');
 const { google } = require('googleapis');
 const { body, query, param, validationResult } = require('express-validator');
 const rateLimit = require('express-rate-limit');
+const multer = require('multer');
 const { logError } = require('../middleware/errorHandler');
+const { requireKeyScope, requireFolderAccess, requireDocumentAccess } = require('../middleware/auth');
 const apiKeyManager = require('../services/apiKeyManager');
+const { convertMarkdownToDoc, convertBatch, convertLinkedDocuments, updateDocFromMarkdown } = require('../services/documentConverter');
+const jobQueue = require('../services/jobQueue');
+const { readArchive, convertArchive } = require('../services/archiveConverter');
+const templateStore = require('../services/templateStore');
+const { renderTemplate, validateTemplate } = require('../services/templateRenderer');
+const { extensionsValidation, sourceValidation, conversionValidation, inputFormatValidation } = require('../middleware/validation');
+const { listExtensions } = require('../services/markdownPreprocessor');
+const { lintMarkdown } = require('../services/markdownLinter');
+const { listProfiles } = require('../services/styleProfiles');
+const { listThemes } = require('../services/codeHighlighter');
+const { convertMarkdownToSlides } = require('../services/slidesConverter');
+const { convertMarkdownToSheet } = require('../services/sheetsConverter');
+const { EXPORT_FORMATS, exportDocument, isExportTooLarge } = require('../services/documentExporter');
 
 const router = express.Router();
 
+// Where a request creates files, for API keys limited to certain folders
+const targetFolder = req => [req.body.folderId];
+const batchFolders = req => (Array.isArray(req.body.items) ? req.body.items : []).map(item => item?.folderId);
+const createInFolder = requireFolderAccess(targetFolder);
+
 // Conversion-specific rate limiting
 const conversionLimiter = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
@@ -16,35 +37,101 @@ const conversionLimiter = rateLimit({
   legacyHeaders: false
 });
 
+// Batch conversions count as a single request against their own limiter,
+// with the number of items per batch capped instead
+const BATCH_MAX_ITEMS = parseInt(process.env.BATCH_MAX_ITEMS) || 50;
+const BATCH_CONCURRENCY = parseInt(process.env.BATCH_CONCURRENCY) || 3;
+
+const batchLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.BATCH_RATE_LIMIT_MAX) || 5, // limit each IP to 5 batches per 15 minutes
+  message: { error: 'Too many batch conversion requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+// Zip uploads are held in memory and unpacked by the archive converter
+const ARCHIVE_MAX_BYTES = parseInt(process.env.ARCHIVE_MAX_BYTES) || 20 * 1024 * 1024;
+
+const archiveUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: ARCHIVE_MAX_BYTES, files: 1 }
+});
+
+// `export` is a format name, or { format, deleteDocument } to drop the Doc once it is downloaded
+const exportValidation = body('export')
+  .optional()
+  .custom((value) => {
+    const options = typeof value === 'string' ? { format: value } : value;
+
+    if (!options || typeof options !== 'object' || Array.isArray(options)) {
+      throw new Error('Export must be a format name or an object with a format');
+    }
+
+    if (!EXPORT_FORMATS[options.format]) {
+      throw new Error(`Unknown export format "${options.format}". Available formats: ${Object.keys(EXPORT_FORMATS).join(', ')}`);
+    }
+
+    if (options.deleteDocument !== undefined && typeof options.deleteDocument !== 'boolean') {
+      throw new Error('Export deleteDocument must be a boolean');
+    }
+    return true;
+  });
+
+/**
+ * Stream an exported document to the client. With `deleteDocument`, the Doc is removed
+ * once the download has finished, or straight away if the export can't start.
+ */
+async function sendExport(res, authClient, document, options, requestId) {
+  const deleteDocument = async () => {
+    try {
+      const drive = google.drive({ version: 'v3', auth: authClient });
+      await drive.files.delete({ fileId: document.id });
+      console.log(`🗑️  [${requestId}] Intermediate document deleted: ${document.id}`);
+    } catch (error) {
+      logError('Failed to delete exported document', { requestId, documentId: document.id, error: error.message });
+    }
+  };
+
+  let exported;
+  try {
+    exported = await exportDocument(authClient, document.id, options.format, requestId);
+  } catch (error) {
+    if (options.deleteDocument) await deleteDocument();
+    throw error;
+  }
+
+  res.status(200);
+  res.attachment(exported.filename);
+  res.type(exported.mimeType);
+  res.set('X-Request-Id', requestId);
+
+  if (!options.deleteDocument) {
+    res.set('X-Document-Id', document.id);
+    res.set('X-Document-Url', document.webViewLink);
+  }
+
+  pipeline(exported.stream, res, (error) => {
+    if (error) {
+      logError('Export download failed', { requestId, documentId: document.id, error: error.message });
+    }
+
+    if (options.deleteDocument) deleteDocument();
+  });
+}
+
 /**
  * Convert markdown to Google Doc
  * @route POST /api/convert/markdown-to-doc
  */
-router.post('/markdown-to-doc', conversionLimiter, [
-  body('content')
-    .isLength({ min: 1, max: 1000000 })
-    .withMessage('Content must be between 1 character and 1MB'),
-  body('title')
-    .optional()
-    .isLength({ max: 200 })
-    .trim()
-    .withMessage('Title cannot exceed 200 characters'),
-  body('folderId')
-    .optional()
-    .isString()
-    .withMessage('Folder ID must be a string'),
-  body('sharing')
-    .optional()
-    .isObject()
-    .withMessage('Sharing settings must be an object')
-], async (req, res) => {
+router.post('/markdown-to-doc', conversionLimiter, requireKeyScope('convert:create'), createInFolder, [...conversionValidation, inputFormatValidation, exportValidation], async (req, res) => {
   const startTime = Date.now();
   const requestId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
   
   console.log(`\n🔄 [${requestId}] CONVERSION STARTED`);
   console.log(`📝 Content length: ${req.body?.content?.length || 0} characters`);
   console.log(`📋 Title: "${req.body?.title || 'Untitled Document'}"`);
-  console.log(`🔑 API Key: ${req.headers['x-api-key'] || 'MISSING'}`);
+  console.log(`🔑 API key id: ${req.userAuth?.keyId || 'MISSING'}`);
   console.log(`🌐 IP: ${req.ip}`);
 
   try {
@@ -58,52 +145,28 @@ router.post('/markdown-to-doc', conversionLimiter, [
       });
     }
 
-    const { content, title = 'Untitled Document', folderId, sharing } = req.body;
+    // Title, folder and sharing may also come from the markdown's front-matter
+    const { content, title, folderId, sharing, images, description, appProperties, extensions, styling, codeHighlighting, inputFormat, lint } = req.body;
     const userAuth = req.userAuth; // Added by authentication middleware
 
     console.log(`✅ [${requestId}] Authentication successful for user: ${userAuth.email}`);
     console.log(`👤 [${requestId}] User: ${userAuth.name} (${userAuth.userId})`);
 
     // Use the authenticated Google client from the middleware
-    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
-
-    // Prepare file metadata
-    const fileMetadata = {
-      name: title,
-      mimeType: 'application/vnd.google-apps.document'
-    };
-
-    // Add to specific folder if provided
-    if (folderId) {
-      fileMetadata.parents = [folderId];
-      console.log(`📁 [${requestId}] Adding to folder: ${folderId}`);
-    }
-
-    // Prepare media content
-    const media = {
-      mimeType: 'text/markdown',
-      body: content
-    };
-
-    console.log(`🚀 [${requestId}] Starting Google Drive API call...`);
-    
-    // Create the document using Google's native Markdown conversion
-    const response = await drive.files.create({
-      resource: fileMetadata,
-      media: media,
-      fields: 'id,name,webViewLink,webContentLink,createdTime,size'
-    });
-
-    const documentData = response.data;
-    console.log(`✅ [${requestId}] Google Drive API call successful!`);
-    console.log(`📄 [${requestId}] Document ID: ${documentData.id}`);
-    console.log(`🔗 [${requestId}] Document URL: ${documentData.webViewLink}`);
-
-    // Apply sharing settings if provided
-    if (sharing) {
-      console.log(`🔐 [${requestId}] Applying sharing settings...`);
-      await applySharing(drive, documentData.id, sharing, requestId);
-    }
+    const { document, ...report } = await convertMarkdownToDoc(userAuth.authClient, {
+      content,
+      title,
+      folderId,
+      sharing,
+      images,
+      description,
+      appProperties,
+      extensions,
+      styling,
+      codeHighlighting,
+      inputFormat,
+      lint
+    }, requestId);
 
     // Calculate processing time
     const processingTime = Date.now() - startTime;
@@ -111,21 +174,21 @@ router.post('/markdown-to-doc', conversionLimiter, [
     // Log successful conversion
     console.log(`🎉 [${requestId}] CONVERSION COMPLETED SUCCESSFULLY!`);
     console.log(`⏱️  [${requestId}] Processing time: ${processingTime}ms`);
-    console.log(`📊 [${requestId}] Document size: ${documentData.size || 'unknown'} bytes`);
-    console.log(`🔗 [${requestId}] View document: ${documentData.webViewLink}`);
-    console.log(`👤 [${requestId}] Created by: ${userAuth.email} using API key: ${userAuth.apiKey}`);
+    console.log(`📊 [${requestId}] Document size: ${document.size || 'unknown'} bytes`);
+    console.log(`🔗 [${requestId}] View document: ${document.webViewLink}`);
+    console.log(`👤 [${requestId}] Created by: ${userAuth.email} using API key: ${userAuth.keyId}`);
+
+    // Clients that asked for a file get the export instead of the JSON report
+    if (req.body.export) {
+      const exportOptions = typeof req.body.export === 'string' ? { format: req.body.export } : req.body.export;
+      return await sendExport(res, userAuth.authClient, document, exportOptions, requestId);
+    }
 
     res.status(201).json({
       success: true,
       requestId,
-      document: {
-        id: documentData.id,
-        name: documentData.name,
-        webViewLink: documentData.webViewLink,
-        webContentLink: documentData.webContentLink,
-        createdTime: documentData.createdTime,
-        size: documentData.size
-      },
+      document,
+      ...report,
       processing: {
         timeMs: processingTime,
         contentLength: content.length
@@ -165,6 +228,31 @@ router.post('/markdown-to-doc', conversionLimiter, [
       });
     }
 
+    if (isExportTooLarge(error)) {
+      return res.status(413).json({
+        error: 'Export too large',
+        message: 'The document is larger than Google Drive can export',
+        requestId
+      });
+    }
+
+    if (error.name === 'LintError') {
+      return res.status(422).json({
+        error: 'Lint failed',
+        message: error.message,
+        lint: error.report,
+        requestId
+      });
+    }
+
+    if (error.name === 'InputFormatError') {
+      return res.status(error.status).json({
+        error: 'Input conversion failed',
+        message: error.message,
+        requestId
+      });
+    }
+
     if (error.code === 403) {
       console.log(`⛔ [${requestId}] Insufficient permissions`);
       return res.status(403).json({
@@ -193,132 +281,1265 @@ router.post('/markdown-to-doc', conversionLimiter, [
 });
 
 /**
- * Get conversion history for the authenticated user
- * @route GET /api/convert/history
+ * Convert markdown to a Google Slides presentation
+ * @route POST /api/convert/markdown-to-slides
  */
-router.get('/history', async (req, res) => {
+router.post('/markdown-to-slides', conversionLimiter, requireKeyScope('convert:create'), createInFolder, sourceValidation, async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `slides_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  console.log(`\n🔄 [${requestId}] SLIDES CONVERSION STARTED`);
+  console.log(`📝 Content length: ${req.body?.content?.length || 0} characters`);
+
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log(`❌ [${requestId}] Validation failed:`, errors.array());
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const { content, title, folderId, sharing, images } = req.body;
     const userAuth = req.userAuth;
-    const { limit = 20, pageToken } = req.query;
 
-    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
+    const { presentation, slideCount, ...report } = await convertMarkdownToSlides(userAuth.authClient, {
+      content,
+      title,
+      folderId,
+      sharing,
+      images
+    }, requestId);
 
-    // Get user's Google Docs
-    const response = await drive.files.list({
-      q: "mimeType='application/vnd.google-apps.document' and trashed=false",
-      orderBy: 'createdTime desc',
-      pageSize: Math.min(parseInt(limit), 100),
-      pageToken: pageToken,
-      fields: 'nextPageToken,files(id,name,createdTime,modifiedTime,webViewLink,size)'
-    });
+    const processingTime = Date.now() - startTime;
 
-    res.json({
+    console.log(`🎉 [${requestId}] SLIDES CONVERSION COMPLETED: ${slideCount} slide(s) in ${processingTime}ms`);
+    console.log(`🔗 [${requestId}] View presentation: ${presentation.webViewLink}`);
+
+    res.status(201).json({
       success: true,
-      documents: response.data.files,
-      nextPageToken: response.data.nextPageToken,
-      totalResults: response.data.files.length
+      requestId,
+      presentation,
+      slideCount,
+      ...report,
+      processing: {
+        timeMs: processingTime,
+        contentLength: content.length
+      },
+      message: `Markdown successfully converted to a ${slideCount}-slide presentation`
     });
 
   } catch (error) {
-    logError('Get conversion history failed', {
+    logError('Slides conversion failed', {
+      requestId,
       error: error.message,
-      userId: req.userAuth?.userId
+      userId: req.userAuth?.userId,
+      contentLength: req.body?.content?.length
     });
 
+    if (error.name === 'SlidesError') {
+      return res.status(422).json({
+        error: 'Invalid presentation content',
+        message: error.message,
+        requestId
+      });
+    }
+
+    if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Authentication expired',
+        message: 'Please refresh your authentication token',
+        requestId
+      });
+    }
+
+    // Tokens issued before the Slides scope was added can't create presentations
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to create presentation with current permissions. If you authenticated before Slides support was added, sign in again at /api/auth/google',
+        requestId
+      });
+    }
+
+    if (error.code === 400) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'The markdown content could not be turned into slides',
+        requestId
+      });
+    }
+
     res.status(500).json({
-      error: 'Failed to retrieve conversion history',
+      error: 'Slides conversion failed',
+      requestId,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * Delete a document
- * @route DELETE /api/convert/document/:documentId
+ * Convert the tables in markdown to a Google Sheet, one tab per table
+ * @route POST /api/convert/markdown-to-sheet
  */
-router.delete('/document/:documentId', [
-  param('documentId').notEmpty().withMessage('Document ID is required')
+router.post('/markdown-to-sheet', conversionLimiter, requireKeyScope('convert:create'), createInFolder, [
+  ...sourceValidation,
+  body('linkedDocument')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Linked document must be a boolean')
 ], async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `sheet_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  console.log(`\n🔄 [${requestId}] SHEET CONVERSION STARTED`);
+  console.log(`📝 Content length: ${req.body?.content?.length || 0} characters`);
+
   try {
-    const { documentId } = req.params;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log(`❌ [${requestId}] Validation failed:`, errors.array());
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const { content, title, folderId, sharing, images, linkedDocument } = req.body;
     const userAuth = req.userAuth;
 
-    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
+    const { spreadsheet, tables, ...report } = await convertMarkdownToSheet(userAuth.authClient, {
+      content,
+      title,
+      folderId,
+      sharing,
+      images,
+      linkedDocument
+    }, requestId);
 
-    // Delete the document
-    await drive.files.delete({
-      fileId: documentId
-    });
+    const processingTime = Date.now() - startTime;
 
-    console.log(`🗑️ Document deleted: ${documentId} by user: ${userAuth.email}`);
+    console.log(`🎉 [${requestId}] SHEET CONVERSION COMPLETED: ${tables.length} table(s) in ${processingTime}ms`);
+    console.log(`🔗 [${requestId}] View spreadsheet: ${spreadsheet.webViewLink}`);
 
-    res.json({
+    res.status(201).json({
       success: true,
-      message: 'Document deleted successfully'
+      requestId,
+      spreadsheet,
+      tables,
+      ...report,
+      processing: {
+        timeMs: processingTime,
+        contentLength: content.length
+      },
+      message: `${tables.length} table(s) successfully converted to a Google Sheet`
     });
 
   } catch (error) {
-    logError('Document deletion failed', {
+    logError('Sheet conversion failed', {
+      requestId,
       error: error.message,
       userId: req.userAuth?.userId,
-      documentId: req.params.documentId
+      contentLength: req.body?.content?.length
     });
 
-    if (error.code === 404) {
-      return res.status(404).json({
-        error: 'Document not found'
+    if (error.name === 'SheetsError') {
+      return res.status(422).json({
+        error: 'Invalid spreadsheet content',
+        message: error.message,
+        requestId
+      });
+    }
+
+    if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Authentication expired',
+        message: 'Please refresh your authentication token',
+        requestId
+      });
+    }
+
+    // Tokens issued before the Sheets scope was added can't create spreadsheets
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to create spreadsheet with current permissions. If you authenticated before Sheets support was added, sign in again at /api/auth/google',
+        requestId
+      });
+    }
+
+    if (error.code === 400) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'The markdown tables could not be written to a spreadsheet',
+        requestId
       });
     }
 
     res.status(500).json({
-      error: 'Failed to delete document',
+      error: 'Sheet conversion failed',
+      requestId,
       details: process.env.NODE_ENV === 'development' ? error.message : undefined
     });
   }
 });
 
 /**
- * Apply sharing settings to a document
+ * Convert many markdown documents in one call
+ * @route POST /api/convert/batch
  */
-async function applySharing(drive, fileId, sharingSettings, requestId = 'unknown') {
-  try {
-    const { visibility = 'private', role = 'reader', emails = [] } = sharingSettings;
+router.post('/batch', batchLimiter, requireKeyScope('convert:create'), requireFolderAccess(batchFolders), [
+  body('items')
+    .isArray({ min: 1, max: BATCH_MAX_ITEMS })
+    .withMessage(`Items must be an array of 1 to ${BATCH_MAX_ITEMS} documents`),
+  body('items.*.content')
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Content must be between 1 character and 1MB'),
+  body('items.*.title')
+    .optional()
+    .isLength({ max: 200 })
+    .trim()
+    .withMessage('Title cannot exceed 200 characters'),
+  body('items.*.folderId')
+    .optional()
+    .isString()
+    .withMessage('Folder ID must be a string'),
+  body('items.*.sharing')
+    .optional()
+    .isObject()
+    .withMessage('Sharing settings must be an object'),
+  body('items.*.images')
+    .optional()
+    .isObject()
+    .withMessage('Images must be an object mapping paths to base64 data'),
+  body('items.*.path')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Path must be a string of up to 1000 characters'),
+  extensionsValidation('items.*.extensions')
+], async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `batch_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
 
-    console.log(`🔐 [${requestId}] Configuring sharing: visibility=${visibility}, role=${role}, emails=${emails.length}`);
+  console.log(`\n🔄 [${requestId}] BATCH CONVERSION STARTED`);
+  console.log(`📚 Items: ${Array.isArray(req.body?.items) ? req.body.items.length : 0}`);
 
-    // Set general visibility
-    if (visibility === 'public') {
-      console.log(`🌍 [${requestId}] Making document public with role: ${role}`);
-      await drive.permissions.create({
-        fileId: fileId,
-        resource: {
-          role: role,
-          type: 'anyone'
-        }
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log(`❌ [${requestId}] Validation failed:`, errors.array());
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
       });
     }
 
-    // Share with specific emails
-    for (const email of emails) {
-      console.log(`📧 [${requestId}] Sharing with: ${email} (role: ${role})`);
-      await drive.permissions.create({
-        fileId: fileId,
-        resource: {
-          role: role,
-          type: 'user',
-          emailAddress: email
-        },
-        sendNotificationEmail: true
-      });
-    }
+    const userAuth = req.userAuth;
+    const items = req.body.items.map(({ content, title, folderId, sharing, path, images, extensions }) => ({
+      content,
+      title,
+      folderId,
+      sharing,
+      path,
+      images,
+      extensions
+    }));
 
-    console.log(`✅ [${requestId}] Sharing configuration completed successfully`);
+    // Items with source paths are converted together so links between them can be rewritten
+    const linked = items.some(item => item.path);
+    const results = linked
+      ? await convertLinkedDocuments(userAuth.authClient, items, BATCH_CONCURRENCY, requestId)
+      : await convertBatch(userAuth.authClient, items, BATCH_CONCURRENCY, requestId);
+
+    const succeeded = results.filter(result => result.success).length;
+    const processingTime = Date.now() - startTime;
+
+    console.log(`🎉 [${requestId}] BATCH CONVERSION COMPLETED: ${succeeded}/${results.length} succeeded in ${processingTime}ms`);
+
+    res.json({
+      success: true,
+      requestId,
+      results,
+      summary: {
+        total: results.length,
+        succeeded,
+        failed: results.length - succeeded,
+        warnings: results.reduce((total, result) => total + (result.warnings?.length || 0), 0)
+      },
+      processing: {
+        timeMs: processingTime,
+        contentLength: items.reduce((total, item) => total + item.content.length, 0)
+      },
+      message: `${succeeded} of ${results.length} documents converted`
+    });
 
   } catch (error) {
-    console.log(`⚠️  [${requestId}] Sharing configuration failed: ${error.message}`);
-    logError('Sharing configuration failed', { requestId, error });
-    // Don't throw - sharing failure shouldn't fail the entire conversion
-  }
+    logError('Batch conversion failed', {
+      requestId,
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    res.status(500).json({
+      error: 'Batch conversion failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Convert a zip archive of markdown files, mirroring its folder structure in Drive
+ * @route POST /api/convert/archive
+ */
+router.post('/archive', batchLimiter, requireKeyScope('convert:create'), (req, res, next) => {
+  archiveUpload.single('archive')(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+        error: 'Invalid upload',
+        message: error.code === 'LIMIT_FILE_SIZE'
+          ? `Archive cannot exceed ${ARCHIVE_MAX_BYTES} bytes`
+          : error.message
+      });
+    }
+    next(error);
+  });
+}, [
+  body('folderId')
+    .optional()
+    .isString()
+    .withMessage('Folder ID must be a string'),
+  body('sharing')
+    .optional()
+    .isJSON()
+    .withMessage('Sharing settings must be a JSON object'),
+  body('extensions')
+    .optional()
+    .customSanitizer(value => (typeof value === 'string' ? value.split(',').map(name => name.trim()).filter(Boolean) : value)),
+  extensionsValidation('extensions')
+], createInFolder, async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `archive_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  console.log(`\n🔄 [${requestId}] ARCHIVE CONVERSION STARTED`);
+  console.log(`📦 Archive size: ${req.file?.size || 0} bytes`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    if (!req.file) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        message: 'A zip file is required in the "archive" field',
+        requestId
+      });
+    }
+
+    const { folderId, extensions } = req.body;
+    const sharing = req.body.sharing ? JSON.parse(req.body.sharing) : undefined;
+    const userAuth = req.userAuth;
+
+    const files = readArchive(req.file.buffer);
+    console.log(`📂 [${requestId}] Archive contains ${files.length} file(s)`);
+
+    const manifest = await convertArchive(userAuth.authClient, files, {
+      folderId,
+      sharing,
+      extensions,
+      concurrency: BATCH_CONCURRENCY
+    }, requestId);
+
+    const succeeded = manifest.documents.filter(result => result.success).length;
+    const processingTime = Date.now() - startTime;
+
+    console.log(`🎉 [${requestId}] ARCHIVE CONVERSION COMPLETED: ${succeeded}/${manifest.documents.length} documents in ${processingTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      requestId,
+      manifest,
+      summary: {
+        folders: manifest.folders.length,
+        documents: manifest.documents.length,
+        succeeded,
+        failed: manifest.documents.length - succeeded,
+        skipped: manifest.skipped.length,
+        warnings: manifest.documents.reduce((total, result) => total + (result.warnings?.length || 0), 0)
+      },
+      processing: {
+        timeMs: processingTime,
+        archiveSize: req.file.size
+      },
+      message: `${succeeded} of ${manifest.documents.length} documents converted`
+    });
+
+  } catch (error) {
+    logError('Archive conversion failed', {
+      requestId,
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    if (error.name === 'ArchiveError') {
+      return res.status(400).json({
+        error: 'Invalid archive',
+        message: error.message,
+        requestId
+      });
+    }
+
+    if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Authentication expired',
+        message: 'Please refresh your authentication token',
+        requestId
+      });
+    }
+
+    if (error.code === 403 || error.code === 404) {
+      return res.status(error.code).json({
+        error: error.code === 403 ? 'Insufficient permissions' : 'Folder not found',
+        message: 'Unable to create folders in the requested location',
+        requestId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Archive conversion failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * List the preprocessing extensions that can be enabled with the `extensions` option
+ * @route GET /api/convert/extensions
+ */
+router.get('/extensions', (req, res) => {
+  res.json({
+    success: true,
+    extensions: listExtensions()
+  });
+});
+
+/**
+ * List the style profiles and code highlighting themes that can be applied
+ * @route GET /api/convert/styles
+ */
+router.get('/styles', async (req, res) => {
+  try {
+    const profiles = await listProfiles();
+
+    res.json({
+      success: true,
+      profiles,
+      codeThemes: listThemes()
+    });
+
+  } catch (error) {
+    logError('List style profiles failed', {
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    res.status(500).json({
+      error: 'Failed to list style profiles',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Queue a markdown conversion to run in the background
+ * @route POST /api/convert/jobs
+ */
+router.post('/jobs', conversionLimiter, requireKeyScope('convert:create'), createInFolder, [...conversionValidation, inputFormatValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { content, title, folderId, sharing, images, description, appProperties, extensions, styling, codeHighlighting, inputFormat, lint } = req.body;
+    const userAuth = req.userAuth;
+
+    // Strict linting rejects the job up front instead of letting it fail in the background
+    if (lint && lint.strict) {
+      const report = lintMarkdown(content);
+      if (report.errors > 0) {
+        return res.status(422).json({
+          error: 'Lint failed',
+          message: `Markdown has ${report.errors} lint error(s)`,
+          lint: report
+        });
+      }
+    }
+
+    const job = await jobQueue.enqueue({
+      userId: userAuth.userId,
+      keyId: userAuth.keyId,
+      input: { content, title, folderId, sharing, images, description, appProperties, extensions, styling, codeHighlighting, inputFormat, lint }
+    });
+
+    res.status(202).json({
+      success: true,
+      job: jobQueue.formatJob(job),
+      statusUrl: `${req.baseUrl}/jobs/${job.id}`,
+      message: 'Conversion job queued'
+    });
+
+  } catch (error) {
+    logError('Queueing conversion job failed', {
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    res.status(500).json({
+      error: 'Failed to queue conversion job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Get the status of a background conversion job
+ * @route GET /api/convert/jobs/:jobId
+ */
+router.get('/jobs/:jobId', requireKeyScope('convert:create'), [
+  param('jobId').notEmpty().withMessage('Job ID is required')
+], async (req, res) => {
+  try {
+    const job = await jobQueue.getJob(req.params.jobId, req.userAuth.userId);
+
+    if (!job) {
+      return res.status(404).json({
+        error: 'Job not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      job: jobQueue.formatJob(job)
+    });
+
+  } catch (error) {
+    logError('Get conversion job failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      jobId: req.params.jobId
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve conversion job',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Replace the content of an existing Google Doc with converted markdown
+ * @route PUT /api/convert/document/:documentId
+ */
+router.put('/document/:documentId', conversionLimiter, requireKeyScope('documents:write'), requireDocumentAccess, [
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  body('content')
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Content must be between 1 character and 1MB'),
+  body('title')
+    .optional()
+    .isLength({ max: 200 })
+    .trim()
+    .withMessage('Title cannot exceed 200 characters'),
+  body('sharing')
+    .optional()
+    .isObject()
+    .withMessage('Sharing settings must be an object'),
+  body('images')
+    .optional()
+    .isObject()
+    .withMessage('Images must be an object mapping paths to base64 data'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 10000 })
+    .withMessage('Description must be a string of up to 10000 characters'),
+  body('appProperties')
+    .optional()
+    .isObject()
+    .withMessage('App properties must be an object'),
+  extensionsValidation('extensions')
+], async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `conv_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+  const { documentId } = req.params;
+
+  console.log(`\n🔄 [${requestId}] DOCUMENT UPDATE STARTED`);
+  console.log(`📄 Document ID: ${documentId}`);
+  console.log(`📝 Content length: ${req.body?.content?.length || 0} characters`);
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      console.log(`❌ [${requestId}] Validation failed:`, errors.array());
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const { content, title, sharing, images, description, appProperties, extensions } = req.body;
+    const userAuth = req.userAuth;
+
+    const { document, ...report } = await updateDocFromMarkdown(userAuth.authClient, documentId, {
+      content,
+      title,
+      sharing,
+      images,
+      description,
+      appProperties,
+      extensions
+    }, requestId);
+
+    const processingTime = Date.now() - startTime;
+
+    console.log(`🎉 [${requestId}] DOCUMENT UPDATE COMPLETED in ${processingTime}ms by ${userAuth.email}`);
+
+    res.json({
+      success: true,
+      requestId,
+      document,
+      ...report,
+      processing: {
+        timeMs: processingTime,
+        contentLength: content.length
+      },
+      message: 'Google Doc successfully updated from markdown'
+    });
+
+  } catch (error) {
+    const processingTime = Date.now() - startTime;
+
+    console.log(`❌ [${requestId}] DOCUMENT UPDATE FAILED after ${processingTime}ms: ${error.message}`);
+
+    logError('Document update failed', {
+      requestId,
+      error: error.message,
+      userId: req.userAuth?.userId,
+      documentId,
+      contentLength: req.body?.content?.length,
+      processingTime
+    });
+
+    if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Authentication expired',
+        message: 'Please refresh your authentication token',
+        requestId
+      });
+    }
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to update document with current permissions',
+        requestId
+      });
+    }
+
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Document not found',
+        requestId
+      });
+    }
+
+    if (error.code === 400) {
+      return res.status(400).json({
+        error: 'Invalid request',
+        message: 'The markdown content could not be processed',
+        requestId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Document update failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Export a Google Doc back to markdown
+ * @route GET /api/convert/document/:documentId/markdown
+ */
+router.get('/document/:documentId/markdown', requireKeyScope('documents:read'), requireDocumentAccess, [
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  query('frontMatter')
+    .optional()
+    .isBoolean()
+    .withMessage('frontMatter must be true or false')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { documentId } = req.params;
+    const includeFrontMatter = req.query.frontMatter === 'true';
+    const userAuth = req.userAuth;
+
+    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
+
+    const exportResponse = await drive.files.export({
+      fileId: documentId,
+      mimeType: 'text/markdown'
+    }, {
+      responseType: 'text'
+    });
+
+    let markdown = exportResponse.data;
+
+    if (includeFrontMatter) {
+      const metadata = await drive.files.get({
+        fileId: documentId,
+        fields: 'id,name,modifiedTime,webViewLink'
+      });
+
+      markdown = buildFrontMatter(metadata.data) + markdown;
+    }
+
+    console.log(`📤 Document exported to markdown: ${documentId} by user: ${userAuth.email}`);
+
+    res.type('text/markdown; charset=utf-8').send(markdown);
+
+  } catch (error) {
+    logError('Markdown export failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      documentId: req.params.documentId
+    });
+
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to export document with current permissions'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to export document',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Download a Google Doc as PDF, DOCX, ODT, HTML, plain text or EPUB
+ * @route GET /api/convert/document/:documentId/export
+ */
+router.get('/document/:documentId/export', requireKeyScope('documents:read'), requireDocumentAccess, [
+  param('documentId').notEmpty().withMessage('Document ID is required'),
+  query('format')
+    .isIn(Object.keys(EXPORT_FORMATS))
+    .withMessage(`Format must be one of: ${Object.keys(EXPORT_FORMATS).join(', ')}`)
+], async (req, res) => {
+  const requestId = `export_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { documentId } = req.params;
+    const userAuth = req.userAuth;
+
+    const exported = await exportDocument(userAuth.authClient, documentId, req.query.format, requestId);
+
+    res.attachment(exported.filename);
+    res.type(exported.mimeType);
+
+    pipeline(exported.stream, res, (error) => {
+      if (error) {
+        logError('Export download failed', { requestId, documentId, error: error.message });
+      }
+    });
+
+  } catch (error) {
+    logError('Document export failed', {
+      requestId,
+      error: error.message,
+      userId: req.userAuth?.userId,
+      documentId: req.params.documentId
+    });
+
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    if (isExportTooLarge(error)) {
+      return res.status(413).json({
+        error: 'Export too large',
+        message: 'The document is larger than Google Drive can export'
+      });
+    }
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to export document with current permissions'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to export document',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+const TEMPLATE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+const templateNameValidation = param('name')
+  .matches(TEMPLATE_NAME_PATTERN)
+  .withMessage('Template name must be 1-64 letters, numbers, hyphens or underscores');
+
+/**
+ * Create or replace a named markdown template
+ * @route PUT /api/convert/templates/:name
+ */
+router.put('/templates/:name', requireKeyScope('templates:manage'), [
+  templateNameValidation,
+  body('content')
+    .isString()
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Content must be between 1 character and 1MB'),
+  body('description')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Description must be a string of up to 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const { content, description } = req.body;
+
+    const syntaxError = validateTemplate(content);
+    if (syntaxError) {
+      return res.status(422).json({
+        error: 'Invalid template',
+        message: syntaxError
+      });
+    }
+
+    const template = await templateStore.saveTemplate(req.userAuth.userId, req.params.name, { content, description });
+
+    if (!template) {
+      return res.status(409).json({
+        error: 'Template limit reached',
+        message: 'Delete an existing template before creating a new one'
+      });
+    }
+
+    const { created, ...saved } = template;
+
+    res.status(created ? 201 : 200).json({
+      success: true,
+      template: saved,
+      message: created ? 'Template created' : 'Template updated'
+    });
+
+  } catch (error) {
+    logError('Save template failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      name: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Failed to save template',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * List the authenticated user's templates
+ * @route GET /api/convert/templates
+ */
+router.get('/templates', requireKeyScope('templates:manage'), async (req, res) => {
+  try {
+    const templates = await templateStore.listTemplates(req.userAuth.userId);
+
+    res.json({
+      success: true,
+      templates,
+      count: templates.length
+    });
+
+  } catch (error) {
+    logError('List templates failed', {
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    res.status(500).json({
+      error: 'Failed to list templates',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Get a single template including its content
+ * @route GET /api/convert/templates/:name
+ */
+router.get('/templates/:name', requireKeyScope('templates:manage'), [templateNameValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const template = await templateStore.getTemplate(req.userAuth.userId, req.params.name);
+
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      template
+    });
+
+  } catch (error) {
+    logError('Get template failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      name: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve template',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Delete a template
+ * @route DELETE /api/convert/templates/:name
+ */
+router.delete('/templates/:name', requireKeyScope('templates:manage'), [templateNameValidation], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array()
+      });
+    }
+
+    const deleted = await templateStore.deleteTemplate(req.userAuth.userId, req.params.name);
+
+    if (!deleted) {
+      return res.status(404).json({
+        error: 'Template not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Template deleted successfully'
+    });
+
+  } catch (error) {
+    logError('Delete template failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      name: req.params.name
+    });
+
+    res.status(500).json({
+      error: 'Failed to delete template',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Render a stored template with variables and convert the result to a Google Doc
+ * @route POST /api/convert/template/:name
+ */
+router.post('/template/:name', conversionLimiter, requireKeyScope('convert:create'), createInFolder, [
+  templateNameValidation,
+  body('variables')
+    .optional()
+    .isObject()
+    .withMessage('Variables must be an object'),
+  // Content comes from the template, so only the remaining conversion options are validated
+  ...conversionValidation.slice(1)
+], async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `tmpl_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const { variables = {}, title, folderId, sharing, images, description, appProperties, extensions, styling, codeHighlighting, lint } = req.body;
+    const userAuth = req.userAuth;
+    const { name } = req.params;
+
+    const template = await templateStore.getTemplate(userAuth.userId, name);
+    if (!template) {
+      return res.status(404).json({
+        error: 'Template not found',
+        requestId
+      });
+    }
+
+    const rendered = renderTemplate(template.content, variables);
+    if (rendered.missing) {
+      console.log(`❌ [${requestId}] Template "${name}" is missing variables: ${rendered.missing.join(', ')}`);
+      return res.status(422).json({
+        error: 'Missing template variables',
+        message: `The template "${name}" needs values for: ${rendered.missing.join(', ')}`,
+        missing: rendered.missing,
+        requestId
+      });
+    }
+
+    console.log(`🧩 [${requestId}] Rendered template "${name}" for user: ${userAuth.email}`);
+
+    const { document, ...report } = await convertMarkdownToDoc(userAuth.authClient, {
+      content: rendered.content,
+      title,
+      folderId,
+      sharing,
+      images,
+      description,
+      appProperties,
+      extensions,
+      styling,
+      codeHighlighting,
+      lint
+    }, requestId);
+
+    const processingTime = Date.now() - startTime;
+    console.log(`🎉 [${requestId}] Template conversion completed in ${processingTime}ms`);
+
+    res.status(201).json({
+      success: true,
+      requestId,
+      document,
+      ...report,
+      template: { name },
+      processing: {
+        timeMs: processingTime,
+        contentLength: rendered.content.length
+      },
+      message: 'Template successfully rendered and converted to Google Doc'
+    });
+
+  } catch (error) {
+    logError('Template conversion failed', {
+      requestId,
+      error: error.message,
+      userId: req.userAuth?.userId,
+      name: req.params.name
+    });
+
+    if (error.name === 'LintError') {
+      return res.status(422).json({
+        error: 'Lint failed',
+        message: error.message,
+        lint: error.report,
+        requestId
+      });
+    }
+
+    if (error.code === 401) {
+      return res.status(401).json({
+        error: 'Authentication expired',
+        message: 'Please refresh your authentication token',
+        requestId
+      });
+    }
+
+    if (error.code === 403) {
+      return res.status(403).json({
+        error: 'Insufficient permissions',
+        message: 'Unable to create document with current permissions',
+        requestId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Conversion failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Get conversion history for the authenticated user
+ * @route GET /api/convert/history
+ */
+router.get('/history', requireKeyScope('history:read'), async (req, res) => {
+  try {
+    const userAuth = req.userAuth;
+    const { limit = 20, pageToken } = req.query;
+
+    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
+
+    // Keys limited to certain folders only see documents in them
+    const folderFilter = userAuth.folderIds
+      ? ` and (${userAuth.folderIds.map(folderId => `'${folderId}' in parents`).join(' or ')})`
+      : '';
+
+    // Get user's Google Docs
+    const response = await drive.files.list({
+      q: `mimeType='application/vnd.google-apps.document' and trashed=false${folderFilter}`,
+      orderBy: 'createdTime desc',
+      pageSize: Math.min(parseInt(limit), 100),
+      pageToken: pageToken,
+      fields: 'nextPageToken,files(id,name,createdTime,modifiedTime,webViewLink,size)'
+    });
+
+    res.json({
+      success: true,
+      documents: response.data.files,
+      nextPageToken: response.data.nextPageToken,
+      totalResults: response.data.files.length
+    });
+
+  } catch (error) {
+    logError('Get conversion history failed', {
+      error: error.message,
+      userId: req.userAuth?.userId
+    });
+
+    res.status(500).json({
+      error: 'Failed to retrieve conversion history',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Delete a document
+ * @route DELETE /api/convert/document/:documentId
+ */
+router.delete('/document/:documentId', requireKeyScope('documents:delete'), requireDocumentAccess, [
+  param('documentId').notEmpty().withMessage('Document ID is required')
+], async (req, res) => {
+  try {
+    const { documentId } = req.params;
+    const userAuth = req.userAuth;
+
+    const drive = google.drive({ version: 'v3', auth: userAuth.authClient });
+
+    // Delete the document
+    await drive.files.delete({
+      fileId: documentId
+    });
+
+    console.log(`🗑️ Document deleted: ${documentId} by user: ${userAuth.email}`);
+
+    res.json({
+      success: true,
+      message: 'Document deleted successfully'
+    });
+
+  } catch (error) {
+    logError('Document deletion failed', {
+      error: error.message,
+      userId: req.userAuth?.userId,
+      documentId: req.params.documentId
+    });
+
+    if (error.code === 404) {
+      return res.status(404).json({
+        error: 'Document not found'
+      });
+    }
+
+    res.status(500).json({
+      error: 'Failed to delete document',
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+/**
+ * Build a YAML front-matter block describing a Drive file
+ */
+function buildFrontMatter(fileData) {
+  // JSON strings are valid YAML scalars, so this avoids hand-rolled escaping
+  const lines = [
+    '---',
+    `title: ${JSON.stringify(fileData.name || '')}`,
+    `documentId: ${JSON.stringify(fileData.id)}`,
+    `modifiedTime: ${JSON.stringify(fileData.modifiedTime || '')}`,
+    `webViewLink: ${JSON.stringify(fileData.webViewLink || '')}`,
+    '---',
+    ''
+  ];
+
+  return lines.join('\n') + '\n';
 }
 
 module.exports = router;
\ No newline at end of file
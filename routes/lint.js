@@ -0,0 +1,71 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { logError } = require('../middleware/errorHandler');
+const { lintMarkdown } = require('../services/markdownLinter');
+
+const router = express.Router();
+
+// Linting is cheap and offline, so it shares the preview limit
+const lintLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PREVIEW_RATE_LIMIT_MAX) || 60,
+  message: { error: 'Too many lint requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Check markdown for constructs Google's importer breaks on, without converting it.
+ * No API key or Google account is needed. With `strict`, errors turn the response into a 422.
+ * @route POST /api/convert/lint
+ */
+router.post('/', lintLimiter, [
+  body('content')
+    .isLength({ min: 1, max: 1000000 })
+    .withMessage('Content must be between 1 character and 1MB'),
+  body('strict')
+    .optional()
+    .isBoolean({ strict: true })
+    .withMessage('Strict must be a boolean')
+], (req, res) => {
+  const requestId = `lint_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const report = lintMarkdown(req.body.content);
+    const failed = req.body.strict === true && report.errors > 0;
+
+    console.log(`🔍 [${requestId}] Lint found ${report.errors} error(s) and ${report.warnings} warning(s)`);
+
+    res.status(failed ? 422 : 200).json({
+      success: !failed,
+      requestId,
+      ...report,
+      message: `${report.errors} error(s), ${report.warnings} warning(s)`
+    });
+
+  } catch (error) {
+    logError('Lint failed', {
+      requestId,
+      error: error.message,
+      contentLength: req.body?.content?.length
+    });
+
+    res.status(500).json({
+      error: 'Lint failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,118 @@
+const express = require('express');
+const { validationResult } = require('express-validator');
+const rateLimit = require('express-rate-limit');
+const { logError } = require('../middleware/errorHandler');
+const { conversionValidation, inputFormatValidation } = require('../middleware/validation');
+const { renderPreview } = require('../services/previewRenderer');
+const apiKeyManager = require('../services/apiKeyManager');
+const { hasScope } = require('../services/apiKeyScopes');
+
+const router = express.Router();
+
+// Previews don't touch Drive, so they get a more generous limit than conversions
+const previewLimiter = rateLimit({
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: parseInt(process.env.PREVIEW_RATE_LIMIT_MAX) || 60,
+  message: { error: 'Too many preview requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false
+});
+
+/**
+ * Diagrams start a browser or a JVM and math is rasterised in-process, so only callers
+ * with an API key that can convert get them rendered in previews
+ */
+async function canRenderImages(req) {
+  const apiKey = req.headers['x-api-key'];
+  if (!apiKey) return false;
+
+  try {
+    const userData = await apiKeyManager.getUserByApiKey(apiKey);
+    return !!userData && hasScope(userData, 'convert:create');
+  } catch (error) {
+    // An expired Google token only costs the rendered images, not the preview
+    return false;
+  }
+}
+
+/**
+ * Validate and preprocess markdown like markdown-to-doc, returning HTML and warnings
+ * instead of creating a document. No API key or Google account is needed, except to
+ * render diagrams and math.
+ * @route POST /api/convert/preview
+ */
+router.post('/', previewLimiter, [...conversionValidation, inputFormatValidation], async (req, res) => {
+  const startTime = Date.now();
+  const requestId = `prev_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(422).json({
+        error: 'Validation failed',
+        details: errors.array(),
+        requestId
+      });
+    }
+
+    const { content, title, images, extensions, codeHighlighting, inputFormat, lint } = req.body;
+    // Front-matter can enable extensions too, so this is checked for every preview with a key
+    const renderImages = await canRenderImages(req);
+
+    const preview = await renderPreview({
+      content,
+      title,
+      images,
+      extensions,
+      codeHighlighting,
+      inputFormat,
+      lint,
+      renderImages
+    }, requestId);
+
+    res.json({
+      success: true,
+      requestId,
+      ...preview,
+      processing: {
+        timeMs: Date.now() - startTime,
+        contentLength: content.length
+      },
+      message: preview.warnings.length > 0
+        ? `Preview rendered with ${preview.warnings.length} warning(s)`
+        : 'Preview rendered without warnings'
+    });
+
+  } catch (error) {
+    logError('Preview failed', {
+      requestId,
+      error: error.message,
+      contentLength: req.body?.content?.length
+    });
+
+    if (error.name === 'LintError') {
+      return res.status(422).json({
+        error: 'Lint failed',
+        message: error.message,
+        lint: error.report,
+        requestId
+      });
+    }
+
+    if (error.name === 'InputFormatError') {
+      return res.status(error.status).json({
+        error: 'Input conversion failed',
+        message: error.message,
+        requestId
+      });
+    }
+
+    res.status(500).json({
+      error: 'Preview failed',
+      requestId,
+      details: process.env.NODE_ENV === 'development' ? error.message : undefined
+    });
+  }
+});
+
+module.exports = router;
@@ -7,8 +7,11 @@ require('dotenv').config();
 
 const authRoutes = require('./routes/auth');
 const conversionRoutes = require('./routes/conversion');
+const previewRoutes = require('./routes/preview');
+const lintRoutes = require('./routes/lint');
 const { errorHandler, logError } = require('./middleware/errorHandler');
 const { authenticateUser } = require('./middleware/auth');
+const apiKeyManager = require('./services/apiKeyManager');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
@@ -61,6 +64,9 @@ app.get('/health', (req, res) => {
 
 // API routes
 app.use('/api/auth', authRoutes);
+// Previews and linting never call Google, so they are mounted ahead of the authenticated routes
+app.use('/api/convert/preview', previewRoutes);
+app.use('/api/convert/lint', lintRoutes);
 app.use('/api/convert', authenticateUser, conversionRoutes);
 
 // 404 handler
@@ -75,15 +81,15 @@ app.use('*', (req, res) => {
 // Global error handler
 app.use(errorHandler);
 
-// Graceful shutdown handling
+// Graceful shutdown handling - batched API key writes are flushed first
 process.on('SIGTERM', () => {
   console.log('SIGTERM received, shutting down gracefully');
-  process.exit(0);
+  apiKeyManager.shutdown().finally(() => process.exit(0));
 });
 
 process.on('SIGINT', () => {
   console.log('SIGINT received, shutting down gracefully');
-  process.exit(0);
+  apiKeyManager.shutdown().finally(() => process.exit(0));
 });
 
 // Unhandled rejection and exception handling
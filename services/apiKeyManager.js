@@ -1,87 +1,354 @@
-const fs = require('fs').promises;
-const path = require('path');
 const crypto = require('crypto');
 const { google } = require('googleapis');
 const { logError } = require('../middleware/errorHandler');
+const { checkEncryptionKey, encryptToken, decryptToken, needsReencryption, lookupHashes } = require('./tokenCipher');
+const { createApiKeyStore } = require('./apiKeyStore');
+const { resolveScopes } = require('./apiKeyScopes');
 
-const API_KEYS_FILE = path.join(__dirname, '../data/api-keys.json');
-const DATA_DIR = path.join(__dirname, '../data');
+// md2doc_<key id>_<secret>_<checksum>, distinctive enough for secret scanners to match
+const API_KEY_PATTERN = /^md2doc_([0-9a-f]{8})_([0-9a-f]{64})_([0-9a-f]{8})$/;
+// Older formats without a checksum, accepted until LEGACY_API_KEY_SUNSET. In the short
+// md2doc_<8 hex> form the hex part is the whole secret, so it is never used as a key id.
+const LEGACY_API_KEY_PATTERN = /^md2doc_([0-9a-f]{8})(_[0-9a-f]{64})?$/;
 
 /**
- * API Key Manager - handles persistent storage and auto-refresh of Google tokens
+ * Checksum over the key id and secret, so typos are caught without a lookup
+ */
+function keyChecksum(keyId, secret) {
+  return crypto.createHash('sha256').update(`md2doc_${keyId}_${secret}`).digest('hex').slice(0, 8);
+}
+
+/**
+ * Hash an API key with its per-key salt. Keys are long random strings, so a
+ * single HMAC is enough and keeps lookups cheap on every request.
+ */
+function hashApiKey(apiKey, salt) {
+  return crypto.createHmac('sha256', salt).update(apiKey).digest('hex');
+}
+
+/**
+ * Turn a stored record into key data with decrypted tokens and dates
+ */
+function toKeyData(record) {
+  return {
+    ...record,
+    accessToken: decryptToken(record.accessToken),
+    refreshToken: decryptToken(record.refreshToken),
+    createdAt: new Date(record.createdAt),
+    lastUsed: new Date(record.lastUsed),
+    tokenExpiry: record.tokenExpiry ? new Date(record.tokenExpiry) : null,
+    expiresAt: record.expiresAt ? new Date(record.expiresAt) : null
+  };
+}
+
+/**
+ * Check whether a key is past its expiry date
+ */
+function isExpired(keyData) {
+  return !!keyData.expiresAt && new Date(keyData.expiresAt).getTime() <= Date.now();
+}
+
+/**
+ * Summarise a key's state for listings: active, rotated (replaced but still
+ * valid during its grace period), expired, revoked, or inactive after a failed token refresh
+ */
+function keyStatus(keyData) {
+  if (isExpired(keyData)) return 'expired';
+  if (!keyData.active) return keyData.revokedAt ? 'revoked' : 'inactive';
+  if (keyData.replacedBy) return 'rotated';
+  return 'active';
+}
+
+/**
+ * Turn key data, or some fields of it, into a record for storage, with tokens encrypted
+ */
+function toRecord(keyData) {
+  const record = { ...keyData };
+  if ('accessToken' in keyData) record.accessToken = encryptToken(keyData.accessToken);
+  if ('refreshToken' in keyData) record.refreshToken = encryptToken(keyData.refreshToken);
+  return record;
+}
+
+/**
+ * API Key Manager - handles persistent storage and auto-refresh of Google tokens.
+ *
+ * Keys are stored by their public key id with a salted hash of the full key, so the
+ * storage can't be used to authenticate. Google tokens are encrypted at rest.
+ * The store is read on every lookup, so processes sharing it see each other's changes.
  */
 class ApiKeyManager {
-  constructor() {
-    this.apiKeys = new Map();
+  constructor(store, options = {}) {
+    this.store = store;
+    this.lastUsedFlushMs = options.lastUsedFlushMs || 60 * 1000;
     this.refreshTimers = new Map();
-    this.init();
+    this.pendingLastUsed = new Map();
+    this.loadError = null;
+    this.ready = this.init();
   }
 
   async init() {
     try {
-      // Ensure data directory exists
-      await fs.mkdir(DATA_DIR, { recursive: true });
+      // Tokens can't be stored or read without the encryption key
+      checkEncryptionKey();
       
       // Load existing API keys
-      await this.loadApiKeys();
+      await this.store.load();
+      await this.migrateApiKeys();
       
       // Set up auto-refresh for all stored tokens
-      this.setupAutoRefresh();
+      await this.setupAutoRefresh();
+
+      // Last-used times are batched instead of written on every request
+      this.flushTimer = setInterval(() => this.flushLastUsed(), this.lastUsedFlushMs);
+      this.flushTimer.unref();
       
       console.log('✅ API Key Manager initialised successfully');
     } catch (error) {
+      // Writing now could overwrite keys that couldn't be read, so storage is left alone
+      this.loadError = error;
       logError('Failed to initialise API Key Manager', error);
     }
   }
 
   /**
-   * Load API keys from storage
+   * Bring stored keys up to date. Keys from before hashing are stored under the raw
+   * API key with plaintext tokens; tokens from a previous encryption key are re-encrypted.
+   * Short legacy keys get a new random key id and are found by their lookup hash, as the
+   * key itself must not be stored. Stores migrated before this used the key as its id.
    */
-  async loadApiKeys() {
-    try {
-      const data = await fs.readFile(API_KEYS_FILE, 'utf8');
-      const parsed = JSON.parse(data);
-      
-      for (const [key, value] of Object.entries(parsed)) {
-        this.apiKeys.set(key, {
-          ...value,
-          createdAt: new Date(value.createdAt),
-          lastUsed: new Date(value.lastUsed),
-          tokenExpiry: value.tokenExpiry ? new Date(value.tokenExpiry) : null
-        });
+  async migrateApiKeys() {
+    let migrated = 0;
+    let reencrypted = 0;
+
+    for (const record of await this.store.list()) {
+      const keyData = toKeyData(record);
+
+      const exposedKey = `md2doc_${record.keyId}`;
+      const isExposed = record.keyHash && record.legacy && !record.lookupHash &&
+        /^[0-9a-f]{8}$/.test(record.keyId) && hashApiKey(exposedKey, record.keySalt) === record.keyHash;
+
+      if (!record.keyHash || isExposed) {
+        const rawKey = isExposed ? exposedKey : record.keyId;
+        const parsed = this.parseApiKey(rawKey);
+        if (!parsed) {
+          throw new Error('A stored API key has an unknown format');
+        }
+
+        keyData.keyId = parsed.keyId || await this.newKeyId();
+        keyData.keySalt = crypto.randomBytes(16).toString('hex');
+        keyData.keyHash = hashApiKey(rawKey, keyData.keySalt);
+        keyData.legacy = true;
+        if (!parsed.keyId) keyData.lookupHash = lookupHashes(rawKey)[0];
+
+        // Save under the new id before removing the old one, so a crash can't lose the key
+        await this.store.save(toRecord(keyData));
+        await this.store.delete(record.keyId);
+        migrated++;
+        continue;
       }
-      
-      console.log(`📂 Loaded ${this.apiKeys.size} API keys from storage`);
-    } catch (error) {
-      if (error.code !== 'ENOENT') {
-        logError('Failed to load API keys', error);
+
+      if (needsReencryption(record.accessToken) || needsReencryption(record.refreshToken)) {
+        await this.store.save(toRecord(keyData));
+        reencrypted++;
       }
-      // File doesn't exist yet, start with empty map
     }
+
+    if (migrated > 0) console.log(`🔐 Migrated ${migrated} API keys to hashed storage`);
+    if (reencrypted > 0) console.log(`🔐 Re-encrypted Google tokens for ${reencrypted} API keys with the current key`);
   }
 
   /**
-   * Save API keys to storage
+   * Get stored key data by key id, without authenticating or recording a use
    */
-  async saveApiKeys() {
+  async getKeyData(keyId) {
+    await this.ready;
+    if (this.loadError) return null;
+
+    const record = await this.store.get(keyId);
+    if (!record) return null;
+
+    const keyData = toKeyData(record);
+
+    // Last-used times waiting to be flushed are newer than the stored ones
+    if (this.pendingLastUsed.has(keyId)) {
+      keyData.lastUsed = this.pendingLastUsed.get(keyId);
+    }
+
+    return keyData;
+  }
+
+  /**
+   * Save a whole key to storage with tokens encrypted. Only for new keys and migrations;
+   * changes to existing keys go through updateKeyData.
+   */
+  async saveKeyData(keyData) {
+    if (this.loadError) {
+      throw new Error(`API key storage is unavailable: ${this.loadError.message}`);
+    }
+
+    await this.store.save(toRecord(keyData));
+  }
+
+  /**
+   * Change some fields of a stored key. `mutate` gets the latest key data, read under the
+   * store's lock, and returns the fields to change or null to leave the key alone, so
+   * changes made by other processes in the meantime are never overwritten.
+   * Resolves to the updated key data, or null if the key is missing or was left alone.
+   */
+  async updateKeyData(keyId, mutate) {
+    await this.ready;
+    if (this.loadError) {
+      throw new Error(`API key storage is unavailable: ${this.loadError.message}`);
+    }
+
+    const record = await this.store.patch(keyId, current => {
+      const changes = mutate(toKeyData(current));
+      return changes ? toRecord(changes) : null;
+    });
+
+    return record ? toKeyData(record) : null;
+  }
+
+  /**
+   * Write batched last-used times to storage
+   */
+  async flushLastUsed() {
+    if (this.loadError || this.pendingLastUsed.size === 0) return;
+
+    const lastUsed = this.pendingLastUsed;
+    this.pendingLastUsed = new Map();
+
     try {
-      const data = Object.fromEntries(this.apiKeys);
-      await fs.writeFile(API_KEYS_FILE, JSON.stringify(data, null, 2));
+      await this.store.touch(lastUsed);
     } catch (error) {
-      logError('Failed to save API keys', error);
+      // Keep the times for the next flush unless newer ones have arrived
+      for (const [keyId, date] of lastUsed) {
+        if (!this.pendingLastUsed.has(keyId)) this.pendingLastUsed.set(keyId, date);
+      }
+      logError('Failed to save API key last-used times', error);
+    }
+  }
+
+  /**
+   * Flush pending writes and close the store before the process exits
+   */
+  async shutdown() {
+    clearInterval(this.flushTimer);
+    for (const timer of this.refreshTimers.values()) {
+      clearTimeout(timer);
+    }
+
+    await this.flushLastUsed();
+    await this.store.close();
+  }
+
+  /**
+   * Check an API key's format and checksum without looking it up.
+   * Returns { keyId, legacy } or null when the key is malformed. Short legacy keys
+   * have no key id; findLegacyKeyId finds them.
+   */
+  parseApiKey(apiKey) {
+    if (typeof apiKey !== 'string') return null;
+
+    const match = apiKey.match(API_KEY_PATTERN);
+    if (match) {
+      const [, keyId, secret, checksum] = match;
+      return keyChecksum(keyId, secret) === checksum ? { keyId, legacy: false } : null;
+    }
+
+    const legacy = apiKey.match(LEGACY_API_KEY_PATTERN);
+    return legacy ? { keyId: legacy[2] ? legacy[1] : null, legacy: true } : null;
+  }
+
+  /**
+   * Get the public key id of an API key, or null if it isn't a valid key or has no id in it
+   */
+  getKeyId(apiKey) {
+    return this.parseApiKey(apiKey)?.keyId || null;
+  }
+
+  /**
+   * Find the key id of a short legacy key by its lookup hash. Hashes made with a
+   * previous encryption key are updated to the current one when found.
+   */
+  async findLegacyKeyId(apiKey) {
+    await this.ready;
+    if (this.loadError) return null;
+
+    const [current, ...previous] = lookupHashes(apiKey);
+
+    for (const hash of [current, ...previous]) {
+      const record = await this.store.findByLookupHash(hash);
+      if (!record) continue;
+
+      if (hash !== current) {
+        await this.store.patch(record.keyId, () => ({ lookupHash: current }));
+      }
+      return record.keyId;
     }
+
+    return null;
+  }
+
+  /**
+   * Get the key id of any valid API key, looking up short legacy keys
+   */
+  async resolveKeyId(apiKey) {
+    const parsed = this.parseApiKey(apiKey);
+    if (!parsed) return null;
+
+    return parsed.keyId || this.findLegacyKeyId(apiKey);
   }
 
   /**
-   * Generate a new API key for a user after OAuth
+   * Pick a random key id that isn't in use
    */
-  async createApiKey(userInfo, tokens) {
+  async newKeyId() {
+    let keyId;
+    do {
+      keyId = crypto.randomBytes(4).toString('hex');
+    } while (await this.store.get(keyId));
+
+    return keyId;
+  }
+
+  /**
+   * The date legacy keys stop working, or null if they are still accepted indefinitely
+   */
+  getLegacyKeySunset() {
+    const sunset = new Date(process.env.LEGACY_API_KEY_SUNSET);
+    return process.env.LEGACY_API_KEY_SUNSET && !isNaN(sunset) ? sunset : null;
+  }
+
+  /**
+   * Check whether the deprecation window for legacy keys has closed
+   */
+  isLegacyKeyRetired() {
+    const sunset = this.getLegacyKeySunset();
+    return !!sunset && Date.now() >= sunset.getTime();
+  }
+
+  /**
+   * Generate a new API key for a user after OAuth.
+   * The full key is only returned here; storage keeps its hash.
+   * Pass `scopes` and `folderIds` to limit what the key can do; omitted means unrestricted.
+   * `label` names the key in listings and `expiresAt` stops it working after that date.
+   */
+  async createApiKey(userInfo, tokens, { scopes = null, folderIds = null, label = null, expiresAt = null } = {}) {
     try {
-      // Generate short, readable API key
-      const keyId = crypto.randomBytes(4).toString('hex');
-      const apiKey = `md2doc_${keyId}`;
+      await this.ready;
+
+      // The key id is public and identifies the key in listings; the secret is never stored
+      const keyId = await this.newKeyId();
+
+      const secret = crypto.randomBytes(32).toString('hex');
+      const apiKey = `md2doc_${keyId}_${secret}_${keyChecksum(keyId, secret)}`;
+      const keySalt = crypto.randomBytes(16).toString('hex');
       
       const keyData = {
+        keyId,
+        keySalt,
+        keyHash: hashApiKey(apiKey, keySalt),
         userId: userInfo.id,
         email: userInfo.email,
         name: userInfo.name,
@@ -90,18 +357,21 @@ class ApiKeyManager {
         refreshToken: tokens.refresh_token,
         tokenExpiry: tokens.expiry_date ? new Date(tokens.expiry_date) : null,
         scope: tokens.scope,
+        scopes,
+        folderIds,
+        label,
+        expiresAt,
         createdAt: new Date(),
         lastUsed: new Date(),
         active: true
       };
 
-      this.apiKeys.set(apiKey, keyData);
-      await this.saveApiKeys();
+      await this.saveKeyData(keyData);
       
       // Set up auto-refresh for this key
-      this.scheduleTokenRefresh(apiKey);
+      this.scheduleTokenRefresh(keyData);
       
-      console.log(`🔑 Created API key: ${apiKey} for user: ${userInfo.email}`);
+      console.log(`🔑 Created API key: ${keyId} for user: ${userInfo.email}`);
       
       return apiKey;
     } catch (error) {
@@ -110,24 +380,143 @@ class ApiKeyManager {
     }
   }
 
+  /**
+   * Issue another API key for the same Google account, reusing an existing key's tokens
+   */
+  createSiblingKey(keyData, options) {
+    return this.createApiKey({
+      id: keyData.userId,
+      email: keyData.email,
+      name: keyData.name,
+      picture: keyData.picture
+    }, {
+      access_token: keyData.accessToken,
+      refresh_token: keyData.refreshToken,
+      expiry_date: keyData.tokenExpiry?.getTime(),
+      scope: keyData.scope
+    }, options);
+  }
+
+  /**
+   * Replace a key with a new one that has the same label, scopes and folders.
+   * The old key keeps working for `gracePeriodMs` so clients can switch over, then expires.
+   * A key with an expiry date passes its lifetime on, counted from now, but never past
+   * `maxExpiresAt` - the expiry of the key doing the rotating, so it can't outlive its parent.
+   * Resolves to { apiKey, keyId, previousKeyExpiresAt }, or null if the key can't be rotated.
+   */
+  async rotateApiKey(keyId, gracePeriodMs, { maxExpiresAt = null } = {}) {
+    const keyData = await this.getKeyData(keyId);
+    if (!keyData || keyStatus(keyData) !== 'active') {
+      return null;
+    }
+
+    const lifetime = keyData.expiresAt ? keyData.expiresAt.getTime() - keyData.createdAt.getTime() : null;
+    let expiresAt = lifetime ? new Date(Date.now() + lifetime) : null;
+    if (maxExpiresAt && (!expiresAt || expiresAt > maxExpiresAt)) {
+      expiresAt = new Date(maxExpiresAt);
+    }
+
+    const apiKey = await this.createSiblingKey(keyData, {
+      scopes: keyData.scopes || null,
+      folderIds: keyData.folderIds || null,
+      label: keyData.label || null,
+      expiresAt
+    });
+
+    // The grace period never extends a key that was due to expire sooner
+    const graceEnd = new Date(Date.now() + gracePeriodMs);
+    const replacedBy = this.getKeyId(apiKey);
+    const previous = await this.updateKeyData(keyId, current => (keyStatus(current) === 'active' ? {
+      expiresAt: current.expiresAt && current.expiresAt < graceEnd ? current.expiresAt : graceEnd,
+      replacedBy
+    } : null));
+
+    // Revoked or rotated by another request in the meantime, so the replacement isn't needed
+    if (!previous) {
+      await this.store.delete(replacedBy);
+      this.clearRefreshTimer(replacedBy);
+      return null;
+    }
+
+    console.log(`🔁 Rotated API key ${keyId} to ${replacedBy}, old key expires at ${previous.expiresAt.toISOString()}`);
+
+    return {
+      apiKey,
+      keyId: replacedBy,
+      previousKeyExpiresAt: previous.expiresAt
+    };
+  }
+
+  /**
+   * Change a key's label and expiry date. Callers should only bring an expiry forward;
+   * rotating the key is the way to give it a new lifetime.
+   */
+  async updateApiKey(keyId, { label, expiresAt }) {
+    const changes = {};
+    if (expiresAt !== undefined) changes.expiresAt = expiresAt;
+    if (label !== undefined) changes.label = label;
+
+    const keyData = await this.updateKeyData(keyId, () => changes);
+    if (keyData) {
+      console.log(`✏️  Updated API key: ${keyId}`);
+    }
+
+    return keyData;
+  }
+
   /**
    * Get user data by API key
    */
   async getUserByApiKey(apiKey) {
-    const keyData = this.apiKeys.get(apiKey);
+    const parsed = this.parseApiKey(apiKey);
+    if (!parsed || (parsed.legacy && this.isLegacyKeyRetired())) {
+      return null;
+    }
+
+    const keyId = parsed.keyId || await this.findLegacyKeyId(apiKey);
+    const keyData = keyId && await this.getKeyData(keyId);
     
-    if (!keyData || !keyData.active) {
+    if (!keyData) {
+      return null;
+    }
+
+    const expected = Buffer.from(keyData.keyHash, 'hex');
+    const actual = Buffer.from(hashApiKey(apiKey, keyData.keySalt), 'hex');
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
       return null;
     }
 
-    // Update last used
+    return this.useKey(keyData);
+  }
+
+  /**
+   * Get user data by key id, for work that was already authenticated with the full key.
+   * Legacy keys stop working here at the sunset too, like in getUserByApiKey.
+   */
+  async getUserByKeyId(keyId) {
+    const keyData = await this.getKeyData(keyId);
+    if (!keyData || (keyData.legacy && this.isLegacyKeyRetired())) {
+      return null;
+    }
+
+    return this.useKey(keyData);
+  }
+
+  /**
+   * Record a use of an active key and make sure its Google token is fresh
+   */
+  async useKey(keyData) {
+    if (!keyData.active || isExpired(keyData)) {
+      return null;
+    }
+
+    // Update last used; the write happens in the next batch
     keyData.lastUsed = new Date();
-    await this.saveApiKeys();
+    this.pendingLastUsed.set(keyData.keyId, keyData.lastUsed);
 
     // Check if token needs refresh
     if (this.needsTokenRefresh(keyData)) {
-      await this.refreshUserTokens(apiKey);
-      return this.apiKeys.get(apiKey); // Get updated data
+      return this.refreshUserTokens(keyData.keyId);
     }
 
     return keyData;
@@ -146,9 +535,9 @@ class ApiKeyManager {
   /**
    * Refresh Google tokens for a user
    */
-  async refreshUserTokens(apiKey) {
+  async refreshUserTokens(keyId) {
     try {
-      const keyData = this.apiKeys.get(apiKey);
+      const keyData = await this.getKeyData(keyId);
       if (!keyData || !keyData.refreshToken) {
         throw new Error('No refresh token available');
       }
@@ -165,28 +554,27 @@ class ApiKeyManager {
 
       const { credentials } = await oauth2Client.refreshAccessToken();
       
-      // Update stored tokens
-      keyData.accessToken = credentials.access_token;
-      keyData.tokenExpiry = credentials.expiry_date ? new Date(credentials.expiry_date) : null;
-      
-      this.apiKeys.set(apiKey, keyData);
-      await this.saveApiKeys();
+      // Update stored tokens only, keeping anything changed while Google was answering
+      const refreshed = await this.updateKeyData(keyId, () => ({
+        accessToken: credentials.access_token,
+        tokenExpiry: credentials.expiry_date ? new Date(credentials.expiry_date) : null
+      }));
+      if (!refreshed) {
+        throw new Error('API key was deleted during token refresh');
+      }
       
-      console.log(`🔄 Refreshed tokens for API key: ${apiKey}`);
+      console.log(`🔄 Refreshed tokens for API key: ${keyId}`);
       
       // Reschedule next refresh
-      this.scheduleTokenRefresh(apiKey);
+      this.scheduleTokenRefresh(refreshed);
       
-      return keyData;
+      return refreshed;
     } catch (error) {
-      logError('Failed to refresh tokens', { apiKey, error });
+      logError('Failed to refresh tokens', { keyId, error });
       
       // If refresh fails, mark key as inactive
-      const keyData = this.apiKeys.get(apiKey);
-      if (keyData) {
-        keyData.active = false;
-        await this.saveApiKeys();
-      }
+      await this.updateKeyData(keyId, current => (current.active ? { active: false } : null))
+        .catch(saveError => logError('Failed to deactivate API key', { keyId, error: saveError }));
       
       throw error;
     }
@@ -195,13 +583,13 @@ class ApiKeyManager {
   /**
    * Schedule automatic token refresh
    */
-  scheduleTokenRefresh(apiKey) {
-    const keyData = this.apiKeys.get(apiKey);
+  scheduleTokenRefresh(keyData) {
     if (!keyData || !keyData.tokenExpiry) return;
+    const { keyId } = keyData;
 
     // Clear existing timer
-    if (this.refreshTimers.has(apiKey)) {
-      clearTimeout(this.refreshTimers.get(apiKey));
+    if (this.refreshTimers.has(keyId)) {
+      clearTimeout(this.refreshTimers.get(keyId));
     }
 
     // Schedule refresh 5 minutes before expiry
@@ -210,44 +598,62 @@ class ApiKeyManager {
     if (refreshTime > 0) {
       const timer = setTimeout(async () => {
         try {
-          await this.refreshUserTokens(apiKey);
+          // Another process sharing the store may have refreshed the token already
+          const current = await this.getKeyData(keyId);
+          if (current && current.active && !isExpired(current) && this.needsTokenRefresh(current)) {
+            await this.refreshUserTokens(keyId);
+          } else {
+            this.scheduleTokenRefresh(current);
+          }
         } catch (error) {
-          logError('Scheduled token refresh failed', { apiKey, error });
+          logError('Scheduled token refresh failed', { keyId, error });
         }
       }, refreshTime);
       
-      this.refreshTimers.set(apiKey, timer);
+      this.refreshTimers.set(keyId, timer);
       
       const refreshDate = new Date(Date.now() + refreshTime);
-      console.log(`⏰ Scheduled token refresh for ${apiKey} at ${refreshDate.toISOString()}`);
+      console.log(`⏰ Scheduled token refresh for ${keyId} at ${refreshDate.toISOString()}`);
     }
   }
 
   /**
    * Set up auto-refresh for all existing keys
    */
-  setupAutoRefresh() {
-    for (const [apiKey, keyData] of this.apiKeys.entries()) {
-      if (keyData.active && keyData.tokenExpiry) {
-        this.scheduleTokenRefresh(apiKey);
+  async setupAutoRefresh() {
+    for (const record of await this.store.list()) {
+      if (record.active && record.tokenExpiry) {
+        this.scheduleTokenRefresh(toKeyData(record));
       }
     }
   }
 
   /**
-   * List all API keys for a user
+   * List all API keys for a user. Only the key id and prefix are known after creation.
    */
-  getUserApiKeys(userId) {
+  async getUserApiKeys(userId) {
+    await this.ready;
+    if (this.loadError) return [];
+
     const userKeys = [];
     
-    for (const [apiKey, keyData] of this.apiKeys.entries()) {
+    for (const keyData of await this.store.list()) {
       if (keyData.userId === userId) {
+        const { keyId } = keyData;
         userKeys.push({
-          apiKey: apiKey,
-          createdAt: keyData.createdAt,
-          lastUsed: keyData.lastUsed,
+          keyId,
+          prefix: `md2doc_${keyId}`,
+          label: keyData.label || null,
+          status: keyStatus(keyData),
+          legacy: !!keyData.legacy,
+          scopes: resolveScopes(keyData),
+          folderIds: keyData.folderIds || null,
+          createdAt: new Date(keyData.createdAt),
+          lastUsed: this.pendingLastUsed.get(keyId) || new Date(keyData.lastUsed),
           active: keyData.active,
-          tokenExpiry: keyData.tokenExpiry
+          expiresAt: keyData.expiresAt ? new Date(keyData.expiresAt) : null,
+          replacedBy: keyData.replacedBy || null,
+          tokenExpiry: keyData.tokenExpiry ? new Date(keyData.tokenExpiry) : null
         });
       }
     }
@@ -256,21 +662,14 @@ class ApiKeyManager {
   }
 
   /**
-   * Revoke an API key
+   * Revoke an API key by key id
    */
-  async revokeApiKey(apiKey) {
-    const keyData = this.apiKeys.get(apiKey);
+  async revokeApiKey(keyId) {
+    const keyData = await this.updateKeyData(keyId, () => ({ active: false, revokedAt: new Date() }));
     if (keyData) {
-      keyData.active = false;
-      await this.saveApiKeys();
+      this.clearRefreshTimer(keyId);
       
-      // Clear refresh timer
-      if (this.refreshTimers.has(apiKey)) {
-        clearTimeout(this.refreshTimers.get(apiKey));
-        this.refreshTimers.delete(apiKey);
-      }
-      
-      console.log(`🚫 Revoked API key: ${apiKey}`);
+      console.log(`🚫 Revoked API key: ${keyId}`);
       return true;
     }
     return false;
@@ -295,40 +694,66 @@ class ApiKeyManager {
   }
 
   /**
-   * Cleanup expired and inactive keys (run periodically)
+   * Stop a key's scheduled token refresh
+   */
+  clearRefreshTimer(keyId) {
+    if (this.refreshTimers.has(keyId)) {
+      clearTimeout(this.refreshTimers.get(keyId));
+      this.refreshTimers.delete(keyId);
+    }
+  }
+
+  /**
+   * Deactivate keys past their expiry date and remove keys inactive for 30 days (run periodically)
    */
   async cleanup() {
+    await this.ready;
+    if (this.loadError) return;
+
     const now = Date.now();
     const thirtyDaysAgo = now - (30 * 24 * 60 * 60 * 1000);
+    let expiredCount = 0;
     let cleanupCount = 0;
 
-    for (const [apiKey, keyData] of this.apiKeys.entries()) {
-      // Remove inactive keys older than 30 days
-      if (!keyData.active && keyData.lastUsed.getTime() < thirtyDaysAgo) {
-        this.apiKeys.delete(apiKey);
-        
-        if (this.refreshTimers.has(apiKey)) {
-          clearTimeout(this.refreshTimers.get(apiKey));
-          this.refreshTimers.delete(apiKey);
-        }
+    for (const record of await this.store.list()) {
+      const { keyId } = record;
+
+      if (record.active && isExpired(record)) {
+        await this.updateKeyData(keyId, current => (current.active ? { active: false } : null));
+        this.clearRefreshTimer(keyId);
+
+        expiredCount++;
+        continue;
+      }
+
+      // Remove inactive keys unused for 30 days, counting an expiry as their last use
+      const lastActivity = Math.max(new Date(record.lastUsed).getTime(), record.expiresAt ? new Date(record.expiresAt).getTime() : 0);
+      if (!record.active && lastActivity < thirtyDaysAgo) {
+        await this.store.delete(keyId);
+        this.clearRefreshTimer(keyId);
         
         cleanupCount++;
       }
     }
 
+    if (expiredCount > 0) {
+      console.log(`⌛ Expired ${expiredCount} API keys`);
+    }
+
     if (cleanupCount > 0) {
-      await this.saveApiKeys();
       console.log(`🧹 Cleaned up ${cleanupCount} expired API keys`);
     }
   }
 }
 
 // Create singleton instance
-const apiKeyManager = new ApiKeyManager();
+const apiKeyManager = new ApiKeyManager(createApiKeyStore(), {
+  lastUsedFlushMs: parseInt(process.env.API_KEY_LAST_USED_FLUSH_MS) || 60 * 1000
+});
 
-// Run cleanup every 24 hours
+// Run cleanup every 24 hours, without keeping the process alive for it
 setInterval(() => {
-  apiKeyManager.cleanup();
-}, 24 * 60 * 60 * 1000);
+  apiKeyManager.cleanup().catch(error => logError('Failed to clean up API keys', error));
+}, 24 * 60 * 60 * 1000).unref();
 
 module.exports = apiKeyManager;
\ No newline at end of file
@@ -0,0 +1,73 @@
+/**
+ * Capabilities an API key can be limited to. Keys without a `scopes` list,
+ * including every key issued through Google sign-in, have all of them.
+ */
+const API_KEY_SCOPES = {
+  'convert:create': 'Convert content to new Docs, Slides and Sheets, and run conversion jobs',
+  'documents:read': 'Export existing documents as markdown and other formats',
+  'documents:write': 'Replace the content of existing documents',
+  'documents:delete': 'Delete documents',
+  'history:read': 'List converted documents',
+  'templates:manage': 'Save, list and delete markdown templates',
+  'keys:manage': 'List, create, update, rotate, regenerate and revoke API keys'
+};
+
+/**
+ * The scopes a key has, with unrestricted keys expanded to every scope
+ */
+function resolveScopes(keyData) {
+  return keyData.scopes || Object.keys(API_KEY_SCOPES);
+}
+
+/**
+ * Check whether a key has a scope
+ */
+function hasScope(keyData, scope) {
+  return resolveScopes(keyData).includes(scope);
+}
+
+/**
+ * Check whether a key may create files in, or act on files in, a Drive folder.
+ * Folder-restricted keys can't use the root of My Drive, so a missing folder is refused.
+ */
+function isFolderAllowed(keyData, folderId) {
+  return !keyData.folderIds || keyData.folderIds.includes(folderId);
+}
+
+/**
+ * Check that a key created or managed by another key grants nothing its parent doesn't
+ * have, including outliving it. Null `scopes` asks for every scope.
+ * Returns an error message, or null if the request is allowed.
+ */
+function checkDelegation(parent, { scopes, folderIds, expiresAt }) {
+  scopes = scopes || Object.keys(API_KEY_SCOPES);
+
+  const unknown = scopes.filter(scope => !API_KEY_SCOPES[scope]);
+  if (unknown.length > 0) {
+    return `Unknown scopes: ${unknown.join(', ')}`;
+  }
+
+  const escalated = scopes.filter(scope => !hasScope(parent, scope));
+  if (escalated.length > 0) {
+    return `This API key doesn't have these scopes: ${escalated.join(', ')}`;
+  }
+
+  if (parent.folderIds && (!folderIds || folderIds.some(folderId => !parent.folderIds.includes(folderId)))) {
+    return `This API key is limited to folders ${parent.folderIds.join(', ')}, so it can only create or manage keys limited to some of them`;
+  }
+
+  const parentExpiry = parent.expiresAt && new Date(parent.expiresAt);
+  if (parentExpiry && (!expiresAt || new Date(expiresAt) > parentExpiry)) {
+    return `This API key expires at ${parentExpiry.toISOString()}, so it can only create or manage keys that expire by then`;
+  }
+
+  return null;
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  resolveScopes,
+  hasScope,
+  isFolderAllowed,
+  checkDelegation
+};
@@ -0,0 +1,231 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { LockedJsonFile } = require('./lockedJsonFile');
+
+const DATA_DIR = path.join(__dirname, '../data');
+const API_KEYS_FILE = path.join(DATA_DIR, 'api-keys.json');
+const API_KEYS_DB = path.join(DATA_DIR, 'api-keys.db');
+
+/**
+ * File-backed API key store - persists keys to data/api-keys.json, which several
+ * processes can share through a LockedJsonFile.
+ *
+ * Any object implementing load(), get(keyId), findByLookupHash(hash), list(), save(record),
+ * patch(keyId, mutate), delete(keyId), touch(lastUsed) and close() can be passed to the
+ * ApiKeyManager in its place.
+ * Records are plain objects keyed by `keyId`; dates are stored as ISO strings.
+ */
+class FileApiKeyStore {
+  constructor(filePath = API_KEYS_FILE) {
+    this.filePath = filePath;
+    // Files written before keys were hashed are keyed by the raw API key, which is
+    // passed on as the record's keyId for the manager to migrate
+    this.file = new LockedJsonFile(filePath, {
+      parse: parsed => new Map(Object.entries(parsed).map(([id, value]) => [id, { ...value, keyId: value.keyId || id }])),
+      serialize: records => Object.fromEntries(records)
+    });
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const records = await this.file.read();
+    console.log(`📂 Loaded ${records.size} API keys from ${this.filePath}`);
+  }
+
+  async get(keyId) {
+    return (await this.file.read()).get(keyId) || null;
+  }
+
+  /**
+   * Find the record of a legacy key by its `lookupHash`
+   */
+  async findByLookupHash(hash) {
+    return Array.from((await this.file.read()).values()).find(record => record.lookupHash === hash) || null;
+  }
+
+  async list() {
+    return Array.from((await this.file.read()).values());
+  }
+
+  async save(record) {
+    await this.file.update(records => records.set(record.keyId, record));
+    return record;
+  }
+
+  /**
+   * Change some fields of a record. `mutate` is called with the latest stored record while
+   * the lock is held and returns the fields to change, or null to leave the record alone.
+   * Resolves to the updated record, or null if it is missing or was left alone.
+   */
+  async patch(keyId, mutate) {
+    return this.file.update(records => {
+      const record = records.get(keyId);
+      const changes = record && mutate(record);
+      if (!changes) return null;
+
+      const updated = JSON.parse(JSON.stringify({ ...record, ...changes }));
+      records.set(keyId, updated);
+      return updated;
+    });
+  }
+
+  async delete(keyId) {
+    return this.file.update(records => records.delete(keyId));
+  }
+
+  /**
+   * Record last-used times for many keys with a single write
+   */
+  async touch(lastUsed) {
+    await this.file.update(records => {
+      for (const [keyId, date] of lastUsed) {
+        const record = records.get(keyId);
+        if (record) record.lastUsed = date.toISOString();
+      }
+    });
+  }
+
+  async close() {}
+}
+
+/**
+ * SQLite-backed API key store - keeps keys in data/api-keys.db, which any number
+ * of processes can share. Records are stored as JSON next to indexed columns.
+ * On first use, keys are imported from data/api-keys.json if it exists.
+ */
+class SqliteApiKeyStore {
+  constructor(filePath = API_KEYS_DB, importPath = API_KEYS_FILE) {
+    this.filePath = filePath;
+    this.importPath = importPath;
+    this.db = null;
+  }
+
+  async load() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    // Required here so the native module is only loaded when this backend is chosen
+    const Database = require('better-sqlite3');
+    this.db = new Database(this.filePath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('busy_timeout = 5000');
+    this.db.exec(`
+      CREATE TABLE IF NOT EXISTS api_keys (
+        key_id TEXT PRIMARY KEY,
+        user_id TEXT,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX IF NOT EXISTS api_keys_user_id ON api_keys (user_id);
+      CREATE INDEX IF NOT EXISTS api_keys_lookup_hash ON api_keys (json_extract(data, '$.lookupHash'));
+    `);
+
+    this.statements = {
+      get: this.db.prepare('SELECT data FROM api_keys WHERE key_id = ?'),
+      findByLookupHash: this.db.prepare("SELECT data FROM api_keys WHERE json_extract(data, '$.lookupHash') = ?"),
+      list: this.db.prepare('SELECT data FROM api_keys'),
+      save: this.db.prepare('INSERT OR REPLACE INTO api_keys (key_id, user_id, data) VALUES (?, ?, ?)'),
+      patch: this.db.prepare('UPDATE api_keys SET data = json_patch(data, ?) WHERE key_id = ?'),
+      delete: this.db.prepare('DELETE FROM api_keys WHERE key_id = ?'),
+      touch: this.db.prepare("UPDATE api_keys SET data = json_set(data, '$.lastUsed', ?) WHERE key_id = ?"),
+      count: this.db.prepare('SELECT COUNT(*) AS count FROM api_keys')
+    };
+
+    if (this.statements.count.get().count === 0) {
+      await this.importFile();
+    }
+
+    console.log(`📂 Loaded ${this.statements.count.get().count} API keys from ${this.filePath}`);
+  }
+
+  /**
+   * Copy keys from the file backend, so switching backends keeps existing keys
+   */
+  async importFile() {
+    let parsed;
+    try {
+      parsed = JSON.parse(await fs.readFile(this.importPath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return;
+      throw error;
+    }
+
+    const records = Object.entries(parsed).map(([id, value]) => ({ ...value, keyId: value.keyId || id }));
+    this.db.transaction(() => records.forEach(record => this.insert(record)))();
+
+    console.log(`📥 Imported ${records.length} API keys from ${this.importPath}`);
+  }
+
+  insert(record) {
+    this.statements.save.run(record.keyId, record.userId || null, JSON.stringify(record));
+  }
+
+  async get(keyId) {
+    const row = this.statements.get.get(keyId);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async findByLookupHash(hash) {
+    const row = this.statements.findByLookupHash.get(hash);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  async list() {
+    return this.statements.list.all().map(row => JSON.parse(row.data));
+  }
+
+  async save(record) {
+    this.insert(record);
+    return record;
+  }
+
+  /**
+   * Change some fields of a record inside a write transaction, so no other process can
+   * change it between `mutate` reading it and the update. Same contract as FileApiKeyStore.patch.
+   */
+  async patch(keyId, mutate) {
+    return this.db.transaction(() => {
+      const row = this.statements.get.get(keyId);
+      const changes = row && mutate(JSON.parse(row.data));
+      if (!changes) return null;
+
+      // JSON merge patches delete fields set to null, which reads back the same as null
+      this.statements.patch.run(JSON.stringify(changes), keyId);
+      return JSON.parse(this.statements.get.get(keyId).data);
+    }).immediate();
+  }
+
+  async delete(keyId) {
+    return this.statements.delete.run(keyId).changes > 0;
+  }
+
+  async touch(lastUsed) {
+    this.db.transaction(() => {
+      for (const [keyId, date] of lastUsed) {
+        this.statements.touch.run(date.toISOString(), keyId);
+      }
+    })();
+  }
+
+  async close() {
+    if (this.db) this.db.close();
+  }
+}
+
+/**
+ * Create the store selected by API_KEY_STORE ('file' or 'sqlite')
+ */
+function createApiKeyStore(type = process.env.API_KEY_STORE || 'file') {
+  switch (type) {
+    case 'file':
+      return new FileApiKeyStore();
+    case 'sqlite':
+      return new SqliteApiKeyStore(process.env.API_KEY_SQLITE_PATH || API_KEYS_DB);
+    default:
+      throw new Error(`Unknown API_KEY_STORE "${type}", expected "file" or "sqlite"`);
+  }
+}
+
+module.exports = {
+  FileApiKeyStore,
+  SqliteApiKeyStore,
+  createApiKeyStore
+};
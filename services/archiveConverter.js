@@ -0,0 +1,229 @@
+const path = require('path');
+const zlib = require('zlib');
+const AdmZip = require('adm-zip');
+const { google } = require('googleapis');
+const { convertLinkedDocuments, mapWithConcurrency } = require('./documentConverter');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+// Zip compression methods that can be extracted
+const STORED = 0;
+const DEFLATED = 8;
+
+const ARCHIVE_MAX_ENTRIES = parseInt(process.env.ARCHIVE_MAX_ENTRIES) || 500;
+const ARCHIVE_MAX_UNCOMPRESSED_BYTES = parseInt(process.env.ARCHIVE_MAX_UNCOMPRESSED_BYTES) || 100 * 1024 * 1024;
+
+/**
+ * Raised when an uploaded archive cannot be accepted
+ */
+class ArchiveError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'ArchiveError';
+    this.status = 400;
+  }
+}
+
+/**
+ * Extract an entry without producing more than `limit` bytes. Sizes in zip headers
+ * are set by whoever made the archive, so only the inflated output can be trusted.
+ */
+function extractEntry(entry, limit) {
+  if (entry.header.encrypted) {
+    throw new ArchiveError(`Archive entry is encrypted: ${entry.entryName}`);
+  }
+
+  const tooLarge = () => new ArchiveError(`Archive expands to more than ${ARCHIVE_MAX_UNCOMPRESSED_BYTES} bytes`);
+  let compressed;
+  try {
+    compressed = entry.getCompressedData();
+  } catch (error) {
+    throw new ArchiveError(`Archive entry is corrupt: ${entry.entryName}`);
+  }
+
+  if (entry.header.method === STORED) {
+    if (compressed.length > limit) throw tooLarge();
+    return compressed;
+  }
+
+  if (entry.header.method !== DEFLATED) {
+    throw new ArchiveError(`Archive entry uses an unsupported compression method: ${entry.entryName}`);
+  }
+
+  try {
+    // maxOutputLength must be at least 1; a limit of 0 is enforced by the length check
+    const data = zlib.inflateRawSync(compressed, { maxOutputLength: Math.max(limit, 1) });
+    if (data.length > limit) throw tooLarge();
+    return data;
+  } catch (error) {
+    if (error instanceof ArchiveError) throw error;
+    if (error.code === 'ERR_BUFFER_TOO_LARGE') throw tooLarge();
+    throw new ArchiveError(`Archive entry is corrupt: ${entry.entryName}`);
+  }
+}
+
+/**
+ * Read a zip archive into a list of files with normalised, relative paths
+ */
+function readArchive(buffer) {
+  let zip;
+  try {
+    zip = new AdmZip(buffer);
+  } catch (error) {
+    throw new ArchiveError('Upload is not a valid zip archive');
+  }
+
+  const entries = zip.getEntries();
+
+  if (entries.length > ARCHIVE_MAX_ENTRIES) {
+    throw new ArchiveError(`Archive contains more than ${ARCHIVE_MAX_ENTRIES} entries`);
+  }
+
+  // Declared sizes reject honest oversized archives early; extractEntry enforces the real limit
+  const declaredSize = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (declaredSize > ARCHIVE_MAX_UNCOMPRESSED_BYTES) {
+    throw new ArchiveError(`Archive expands to more than ${ARCHIVE_MAX_UNCOMPRESSED_BYTES} bytes`);
+  }
+
+  const files = [];
+  let extractedSize = 0;
+
+  for (const entry of entries) {
+    if (entry.isDirectory) continue;
+
+    const filePath = normaliseEntryPath(entry.entryName);
+
+    // Skip OS metadata and hidden files
+    if (filePath.split('/').some(segment => segment.startsWith('.') || segment === '__MACOSX')) {
+      continue;
+    }
+
+    const data = extractEntry(entry, ARCHIVE_MAX_UNCOMPRESSED_BYTES - extractedSize);
+    extractedSize += data.length;
+
+    files.push({
+      path: filePath,
+      data
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Normalise a zip entry name, rejecting anything that escapes the archive root
+ */
+function normaliseEntryPath(entryName) {
+  const normalised = path.posix.normalize(entryName.replace(/\\/g, '/'));
+
+  if (normalised.startsWith('../') || normalised === '..' || path.posix.isAbsolute(normalised) || normalised.includes('\0')) {
+    throw new ArchiveError(`Archive entry has an unsafe path: ${entryName}`);
+  }
+
+  return normalised;
+}
+
+/**
+ * Check whether an archive path is a markdown file
+ */
+function isMarkdownPath(filePath) {
+  return MARKDOWN_EXTENSIONS.includes(path.posix.extname(filePath).toLowerCase());
+}
+
+/**
+ * Recreate an archive's folder structure in Drive and convert every markdown file in it
+ */
+async function convertArchive(authClient, files, options = {}, requestId = 'unknown') {
+  const { folderId, sharing, extensions, concurrency = 3 } = options;
+
+  const drive = google.drive({ version: 'v3', auth: authClient });
+
+  const markdownFiles = files.filter(file => isMarkdownPath(file.path));
+  const skipped = files.filter(file => !isMarkdownPath(file.path)).map(file => file.path);
+
+  if (markdownFiles.length === 0) {
+    throw new ArchiveError('Archive does not contain any markdown files');
+  }
+
+  // Every directory that holds a markdown file, plus its ancestors
+  const directories = new Set();
+  for (const file of markdownFiles) {
+    let dir = path.posix.dirname(file.path);
+    while (dir !== '.') {
+      directories.add(dir);
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  // Create folders level by level so parents always exist before their children
+  const folderIds = new Map([['.', folderId]]);
+  const folders = [];
+  const byDepth = Array.from(directories).sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+
+  for (let depth = 1; byDepth.some(dir => dir.split('/').length === depth); depth++) {
+    const level = byDepth.filter(dir => dir.split('/').length === depth);
+
+    const created = await mapWithConcurrency(level, concurrency, (dir) =>
+      createFolder(drive, path.posix.basename(dir), folderIds.get(path.posix.dirname(dir)))
+    );
+
+    level.forEach((dir, index) => {
+      folderIds.set(dir, created[index].id);
+      folders.push({ path: dir, ...created[index] });
+    });
+
+    console.log(`📁 [${requestId}] Created ${level.length} folder(s) at depth ${depth}`);
+  }
+
+  // Other files in the archive are available as images for the markdown that references them
+  const assets = new Map(files.filter(file => !isMarkdownPath(file.path)).map(file => [file.path, file.data]));
+
+  // Relative links between the files are rewritten to point at the created documents
+  const items = markdownFiles.map(file => ({
+    path: file.path,
+    content: file.data.toString('utf8'),
+    defaultTitle: path.posix.basename(file.path, path.posix.extname(file.path)),
+    folderId: folderIds.get(path.posix.dirname(file.path)),
+    sharing,
+    extensions,
+    images: assets
+  }));
+
+  const results = await convertLinkedDocuments(authClient, items, concurrency, requestId);
+  const documents = results.map(({ index, ...result }) => result);
+
+  return { folders, documents, skipped };
+}
+
+/**
+ * Create a Drive folder, optionally inside a parent folder
+ */
+async function createFolder(drive, name, parentId) {
+  const resource = {
+    name,
+    mimeType: FOLDER_MIME_TYPE
+  };
+
+  if (parentId) {
+    resource.parents = [parentId];
+  }
+
+  const response = await drive.files.create({
+    resource,
+    fields: 'id,name,webViewLink'
+  });
+
+  return {
+    id: response.data.id,
+    name: response.data.name,
+    webViewLink: response.data.webViewLink
+  };
+}
+
+module.exports = {
+  ArchiveError,
+  readArchive,
+  convertArchive,
+  isMarkdownPath
+};
@@ -0,0 +1,387 @@
+const crypto = require('crypto');
+const hljs = require('highlight.js');
+const { walkParagraphs, mapFencedBlocks } = require('./linkRewriter');
+const { toColor, toPoints } = require('./documentStyler');
+
+/**
+ * Colour themes for highlighted code. Token styles are keyed by highlight.js scope.
+ */
+const THEMES = {
+  github: {
+    description: 'Light theme modelled on GitHub',
+    background: '#f6f8fa',
+    foreground: '#24292e',
+    tokens: {
+      keyword: { color: '#d73a49', bold: true },
+      built_in: { color: '#005cc5' },
+      type: { color: '#6f42c1' },
+      literal: { color: '#005cc5' },
+      number: { color: '#005cc5' },
+      string: { color: '#032f62' },
+      regexp: { color: '#032f62' },
+      comment: { color: '#6a737d', italic: true },
+      title: { color: '#6f42c1', bold: true },
+      attr: { color: '#005cc5' },
+      attribute: { color: '#005cc5' },
+      variable: { color: '#e36209' },
+      params: { color: '#24292e' },
+      meta: { color: '#735c0f' },
+      tag: { color: '#22863a' },
+      name: { color: '#22863a' },
+      'selector-tag': { color: '#22863a' },
+      'selector-class': { color: '#6f42c1' },
+      symbol: { color: '#005cc5' },
+      section: { color: '#005cc5', bold: true },
+      addition: { color: '#22863a' },
+      deletion: { color: '#b31d28' }
+    }
+  },
+  monokai: {
+    description: 'Dark theme modelled on Monokai',
+    background: '#272822',
+    foreground: '#f8f8f2',
+    tokens: {
+      keyword: { color: '#f92672', bold: true },
+      built_in: { color: '#66d9ef' },
+      type: { color: '#66d9ef', italic: true },
+      literal: { color: '#ae81ff' },
+      number: { color: '#ae81ff' },
+      string: { color: '#e6db74' },
+      regexp: { color: '#e6db74' },
+      comment: { color: '#75715e', italic: true },
+      title: { color: '#a6e22e' },
+      attr: { color: '#a6e22e' },
+      attribute: { color: '#a6e22e' },
+      variable: { color: '#fd971f' },
+      params: { color: '#fd971f' },
+      meta: { color: '#75715e' },
+      tag: { color: '#f92672' },
+      name: { color: '#f92672' },
+      'selector-tag': { color: '#f92672' },
+      'selector-class': { color: '#a6e22e' },
+      symbol: { color: '#ae81ff' },
+      section: { color: '#a6e22e', bold: true },
+      addition: { color: '#a6e22e' },
+      deletion: { color: '#f92672' }
+    }
+  },
+  'solarized-light': {
+    description: 'Low-contrast light theme modelled on Solarized',
+    background: '#fdf6e3',
+    foreground: '#657b83',
+    tokens: {
+      keyword: { color: '#859900', bold: true },
+      built_in: { color: '#dc322f' },
+      type: { color: '#b58900' },
+      literal: { color: '#2aa198' },
+      number: { color: '#2aa198' },
+      string: { color: '#2aa198' },
+      regexp: { color: '#2aa198' },
+      comment: { color: '#93a1a1', italic: true },
+      title: { color: '#268bd2' },
+      attr: { color: '#b58900' },
+      attribute: { color: '#b58900' },
+      variable: { color: '#b58900' },
+      meta: { color: '#cb4b16' },
+      tag: { color: '#268bd2' },
+      name: { color: '#268bd2' },
+      'selector-tag': { color: '#859900' },
+      'selector-class': { color: '#268bd2' },
+      symbol: { color: '#cb4b16' },
+      section: { color: '#268bd2', bold: true },
+      addition: { color: '#859900' },
+      deletion: { color: '#dc322f' }
+    }
+  }
+};
+
+const DEFAULT_THEME = 'github';
+const CODE_FONT = 'Roboto Mono';
+const CODE_FONT_SIZE = 10;
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#x27;': '\'', '&#39;': '\'' };
+
+/**
+ * List the available highlighting themes
+ */
+function listThemes() {
+  return Object.entries(THEMES).map(([name, { description, background }]) => ({ name, description, background }));
+}
+
+/**
+ * Replace top-level fenced code blocks with unique placeholder paragraphs.
+ * The importer flattens code blocks, so they are rebuilt with the Docs API afterwards
+ * at the placeholders' positions.
+ */
+function extractCodeBlocks(content) {
+  const token = crypto.randomBytes(4).toString('hex');
+  const blocks = [];
+
+  const replaced = mapFencedBlocks(content, ({ language, code, line }) => {
+    const placeholder = `md2doc-code-${token}-${blocks.length}`;
+    blocks.push({ placeholder, language, code, line });
+
+    // Blank lines keep the placeholder a paragraph of its own
+    return `\n${placeholder}\n`;
+  });
+
+  return { content: replaced, blocks };
+}
+
+/**
+ * Tokenise code into { start, end, scopes } ranges with highlight.js.
+ * Returns null when the language is not recognised.
+ */
+function tokenise(code, language) {
+  if (!language || !hljs.getLanguage(language)) {
+    return null;
+  }
+
+  const html = hljs.highlight(code, { language, ignoreIllegals: true }).value;
+  const tokens = [];
+  const scopes = [];
+  let offset = 0;
+
+  for (const match of html.matchAll(/<span class="([^"]+)">|<\/span>|([^<]+)/g)) {
+    if (match[1]) {
+      // "hljs-title function_" -> "title"
+      scopes.push(match[1].split(' ')[0].replace(/^hljs-/, ''));
+    } else if (match[2]) {
+      const text = match[2].replace(/&(?:amp|lt|gt|quot|#x27|#39);/g, entity => ENTITIES[entity]);
+      if (scopes.length > 0) {
+        tokens.push({ start: offset, end: offset + text.length, scopes: [...scopes] });
+      }
+      offset += text.length;
+    } else {
+      scopes.pop();
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Build the text style requests for a code block inserted at `index`
+ */
+function buildTokenRequests(block, index, theme) {
+  const requests = [];
+  const length = block.code.length;
+
+  requests.push({
+    updateTextStyle: {
+      range: { startIndex: index, endIndex: index + length },
+      textStyle: {
+        weightedFontFamily: { fontFamily: CODE_FONT },
+        fontSize: toPoints(CODE_FONT_SIZE),
+        foregroundColor: toColor(theme.foreground)
+      },
+      fields: 'weightedFontFamily,fontSize,foregroundColor'
+    }
+  });
+
+  for (const token of block.tokens || []) {
+    // The innermost scope the theme knows about wins
+    const scope = [...token.scopes].reverse().find(name => theme.tokens[name]);
+    if (!scope || token.end <= token.start) continue;
+
+    const style = theme.tokens[scope];
+    const textStyle = { foregroundColor: toColor(style.color) };
+    const fields = ['foregroundColor'];
+
+    if (style.bold) {
+      textStyle.bold = true;
+      fields.push('bold');
+    }
+
+    if (style.italic) {
+      textStyle.italic = true;
+      fields.push('italic');
+    }
+
+    requests.push({
+      updateTextStyle: {
+        range: { startIndex: index + token.start, endIndex: index + token.end },
+        textStyle,
+        fields: fields.join(',')
+      }
+    });
+  }
+
+  return requests;
+}
+
+/**
+ * Find the placeholder paragraphs left by extractCodeBlocks in an imported document
+ */
+function findPlaceholders(document, blocks) {
+  const byPlaceholder = new Map(blocks.map(block => [block.placeholder, block]));
+  const found = [];
+
+  for (const element of document.body?.content || []) {
+    if (!element.paragraph) continue;
+
+    const text = (element.paragraph.elements || []).map(item => item.textRun?.content || '').join('').trim();
+    if (byPlaceholder.has(text)) {
+      found.push({ block: byPlaceholder.get(text), startIndex: element.startIndex, endIndex: element.endIndex });
+    }
+  }
+
+  return found;
+}
+
+/**
+ * Find the empty single-cell table inserted right before each placeholder, in document order.
+ * Tables are matched by position rather than shape, so tables already in the document are
+ * never mistaken for code blocks. Placeholders without a table are left out.
+ */
+function findCodeTables(document, blocks) {
+  const byPlaceholder = new Map(blocks.map(block => [block.placeholder, block]));
+  const content = document.body?.content || [];
+  const tables = [];
+
+  content.forEach((element, index) => {
+    if (!element.paragraph) return;
+
+    const text = (element.paragraph.elements || []).map(item => item.textRun?.content || '').join('').trim();
+    const rows = content[index - 1]?.table?.tableRows || [];
+    if (!byPlaceholder.has(text) || rows.length !== 1 || rows[0].tableCells.length !== 1) return;
+
+    const cell = rows[0].tableCells[0];
+    let cellText = '';
+    walkParagraphs(cell.content, (paragraph) => {
+      cellText += (paragraph.elements || []).map(item => item.textRun?.content || '').join('');
+    });
+
+    if (cellText === '\n') {
+      tables.push({
+        block: byPlaceholder.get(text),
+        tableStart: content[index - 1].startIndex,
+        cellStart: cell.content[0].startIndex,
+        placeholderStart: element.startIndex,
+        placeholderEnd: element.endIndex
+      });
+    }
+  });
+
+  return tables;
+}
+
+/**
+ * Rebuild extracted code blocks in an imported document: each placeholder becomes a
+ * single-cell table shaded with the theme's background, holding the code with token colours.
+ *
+ * A table is inserted before each placeholder first, then the document is read again so the
+ * table cell positions come from Google rather than index arithmetic. Placeholders are only
+ * removed in the same update that fills the tables, so on failure restorePlaceholders can
+ * still put the code back.
+ */
+async function applyCodeHighlighting(docs, documentId, blocks, themeName = DEFAULT_THEME, requestId = 'unknown') {
+  const theme = THEMES[themeName];
+  const warnings = [];
+
+  for (const block of blocks) {
+    block.tokens = tokenise(block.code, block.language);
+    if (block.tokens === null && block.language) {
+      warnings.push({ line: block.line, language: block.language, message: 'Language is not supported, block left unhighlighted' });
+    }
+  }
+
+  const { data: imported } = await docs.documents.get({ documentId });
+  const placeholders = findPlaceholders(imported, blocks);
+
+  if (placeholders.length === 0) {
+    return { theme: themeName, blocks: 0, highlighted: 0, warnings };
+  }
+
+  // Work backwards so earlier indexes stay valid as tables are inserted
+  const tableRequests = [...placeholders].reverse().map(({ startIndex }) => ({
+    insertTable: { rows: 1, columns: 1, location: { index: startIndex } }
+  }));
+
+  await docs.documents.batchUpdate({ documentId, requestBody: { requests: tableRequests } });
+
+  const { data: withTables } = await docs.documents.get({ documentId });
+  const tables = findCodeTables(withTables, blocks);
+  const bodyEnd = withTables.body.content[withTables.body.content.length - 1].endIndex;
+
+  if (tables.length !== placeholders.length) {
+    throw new Error(`Expected ${placeholders.length} code block table(s) but found ${tables.length}`);
+  }
+
+  const fillRequests = [];
+  const plainRequests = [];
+
+  tables.forEach((table) => {
+    const { block } = table;
+    // The placeholder follows its table, so removing it leaves the cell positions alone.
+    // The body's final newline can't be deleted.
+    const removePlaceholder = {
+      deleteContentRange: {
+        range: {
+          startIndex: table.placeholderStart,
+          endIndex: table.placeholderEnd === bodyEnd ? table.placeholderEnd - 1 : table.placeholderEnd
+        }
+      }
+    };
+    const inserts = [
+      removePlaceholder,
+      ...(block.code ? [{ insertText: { location: { index: table.cellStart }, text: block.code } }] : [])
+    ];
+    const cellStyle = {
+      updateTableCellStyle: {
+        tableRange: {
+          tableCellLocation: { tableStartLocation: { index: table.tableStart }, rowIndex: 0, columnIndex: 0 },
+          rowSpan: 1,
+          columnSpan: 1
+        },
+        tableCellStyle: { backgroundColor: toColor(theme.background) },
+        fields: 'backgroundColor'
+      }
+    };
+
+    // Inserting into later cells first keeps the earlier positions valid
+    const tokenRequests = block.code ? buildTokenRequests(block, table.cellStart, theme) : [];
+    fillRequests.unshift(...inserts, ...tokenRequests, cellStyle);
+    plainRequests.unshift(...inserts);
+  });
+
+  try {
+    await docs.documents.batchUpdate({ documentId, requestBody: { requests: fillRequests } });
+  } catch (error) {
+    // Styling problems shouldn't lose the code itself
+    await docs.documents.batchUpdate({ documentId, requestBody: { requests: plainRequests } });
+    warnings.push({ message: `Code was inserted without highlighting: ${error.message}` });
+  }
+
+  const highlighted = placeholders.filter(({ block }) => block.tokens).length;
+  console.log(`🖍️  [${requestId}] Highlighted ${highlighted} of ${placeholders.length} code block(s) with theme ${themeName}`);
+
+  return { theme: themeName, blocks: placeholders.length, highlighted, warnings };
+}
+
+/**
+ * Put the original code back wherever a placeholder is left, so a failed highlighting
+ * run never leaves placeholders in the document
+ */
+async function restorePlaceholders(docs, documentId, blocks) {
+  const requests = blocks.map(block => ({
+    replaceAllText: {
+      containsText: { text: block.placeholder, matchCase: true },
+      replaceText: block.code
+    }
+  }));
+
+  if (requests.length > 0) {
+    await docs.documents.batchUpdate({ documentId, requestBody: { requests } });
+  }
+}
+
+module.exports = {
+  THEMES,
+  DEFAULT_THEME,
+  listThemes,
+  extractCodeBlocks,
+  applyCodeHighlighting,
+  restorePlaceholders,
+  tokenise
+};
@@ -0,0 +1,100 @@
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { execFile } = require('child_process');
+
+const DIAGRAM_TIMEOUT_MS = parseInt(process.env.DIAGRAM_TIMEOUT_MS) || 30000;
+
+/**
+ * Local command line renderers, so diagram source never leaves the server.
+ * Both write a PNG because Google Docs can't display SVG images.
+ */
+const RENDERERS = {
+  mermaid: {
+    label: 'Mermaid',
+    command: process.env.MERMAID_CLI || 'mmdc',
+    extension: '.mmd',
+    args: (input, outputDir) => [
+      '--input', input,
+      '--output', path.join(outputDir, 'diagram.png'),
+      '--backgroundColor', 'white',
+      ...(process.env.MERMAID_PUPPETEER_CONFIG ? ['--puppeteerConfigFile', process.env.MERMAID_PUPPETEER_CONFIG] : [])
+    ],
+    output: (outputDir) => path.join(outputDir, 'diagram.png')
+  },
+  plantuml: {
+    label: 'PlantUML',
+    command: process.env.PLANTUML_CLI || 'plantuml',
+    extension: '.puml',
+    args: (input, outputDir) => ['-tpng', '-failfast2', '-o', outputDir, input],
+    output: (outputDir) => path.join(outputDir, 'diagram.png'),
+    // Diagrams come from users, so !include, !includeurl and similar can't read local files or fetch URLs
+    env: { PLANTUML_SECURITY_PROFILE: 'SANDBOX' }
+  }
+};
+
+// Fence languages that select each renderer
+const LANGUAGES = {
+  mermaid: 'mermaid',
+  plantuml: 'plantuml',
+  puml: 'plantuml'
+};
+
+/**
+ * Get the renderer name for a fence language, or null if it isn't a diagram
+ */
+function getDiagramType(language) {
+  return LANGUAGES[language] || null;
+}
+
+/**
+ * Run a command, rejecting with its first line of error output on failure
+ */
+function run(command, args, env = {}) {
+  return new Promise((resolve, reject) => {
+    const options = { timeout: DIAGRAM_TIMEOUT_MS, windowsHide: true, env: { ...process.env, ...env } };
+
+    execFile(command, args, options, (error, stdout, stderr) => {
+      if (!error) return resolve();
+
+      if (error.code === 'ENOENT') {
+        error.message = `${command} is not installed on the server`;
+      } else if (error.killed) {
+        error.message = `Rendering timed out after ${DIAGRAM_TIMEOUT_MS}ms`;
+      } else {
+        const detail = `${stderr}`.split('\n').map(line => line.trim()).find(Boolean);
+        error.message = detail || `${command} exited with code ${error.code}`;
+      }
+      reject(error);
+    });
+  });
+}
+
+/**
+ * Render diagram source to a PNG buffer with the local CLI for its type
+ */
+async function renderDiagram(type, source) {
+  const renderer = RENDERERS[type];
+  if (!renderer) {
+    throw new Error(`Unsupported diagram type: ${type}`);
+  }
+
+  const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'md2doc-diagram-'));
+
+  try {
+    const input = path.join(workDir, `diagram${renderer.extension}`);
+    await fs.writeFile(input, source, 'utf8');
+
+    await run(renderer.command, renderer.args(input, workDir), renderer.env);
+
+    return await fs.readFile(renderer.output(workDir));
+  } finally {
+    await fs.rm(workDir, { recursive: true, force: true });
+  }
+}
+
+module.exports = {
+  RENDERERS,
+  getDiagramType,
+  renderDiagram
+};
@@ -0,0 +1,535 @@
+const { google } = require('googleapis');
+const { logError } = require('../middleware/errorHandler');
+const { rewriteMarkdownLinks, normalisePath, slugify, getHeadingIds, findAnchorLinks } = require('./linkRewriter');
+const { embedImages, removeUploadedImages } = require('./imageEmbedder');
+const { applyFrontMatter } = require('./frontMatter');
+const { preprocessMarkdown } = require('./markdownPreprocessor');
+const { getProfile } = require('./styleProfiles');
+const { applyStyleProfile } = require('./documentStyler');
+const { extractCodeBlocks, applyCodeHighlighting, restorePlaceholders, DEFAULT_THEME } = require('./codeHighlighter');
+const { prepareInput } = require('./inputConverter');
+const { checkMarkdown } = require('./markdownLinter');
+
+const DOCUMENT_FIELDS = 'id,name,webViewLink,webContentLink,createdTime,size';
+
+/**
+ * Convert markdown to a new Google Doc using Google's native import.
+ * Resolves to { document, ...report } where the report sections (`lint`, `images`, `frontMatter`,
+ * `extensions`, `codeHighlighting`, `styling`) are only present when that stage had something to do.
+ *
+ * `inputFormat` selects another source format (see INPUT_FORMATS). Only markdown goes
+ * through front-matter, extensions, code highlighting and image embedding.
+ */
+async function convertMarkdownToDoc(authClient, options, requestId = 'unknown') {
+  const isMarkdown = !options.inputFormat || options.inputFormat === 'markdown';
+  const { options: resolved, report: frontMatter } = isMarkdown ? applyFrontMatter(options) : { options, report: null };
+  const { content, title = resolved.defaultTitle || 'Untitled Document', folderId, sharing, images, sourcePath } = resolved;
+
+  // Linting runs on the source as sent, so line numbers include any front-matter.
+  // In strict mode this throws before anything reaches Drive.
+  const lint = isMarkdown && resolved.lint ? checkMarkdown(options.content, resolved.lint) : null;
+
+  const drive = google.drive({ version: 'v3', auth: authClient });
+
+  // Prepare file metadata
+  const fileMetadata = {
+    name: title,
+    mimeType: 'application/vnd.google-apps.document',
+    ...buildDriveMetadata(resolved)
+  };
+
+  // Add to specific folder if provided
+  if (folderId) {
+    fileMetadata.parents = [folderId];
+    console.log(`📁 [${requestId}] Adding to folder: ${folderId}`);
+  }
+
+  let preprocessed = { report: null };
+  let codeBlocks = null;
+  let embedded = { report: null, uploadedIds: [] };
+  let media;
+
+  if (isMarkdown) {
+    // Dialect features the importer ignores are rewritten before anything is uploaded
+    preprocessed = await preprocessMarkdown(content, resolved.extensions, requestId);
+
+    // Highlighted code blocks are swapped for placeholders and rebuilt after the import
+    codeBlocks = resolved.codeHighlighting ? extractCodeBlocks(preprocessed.content) : null;
+
+    // Local and inline images are uploaded first so the importer can fetch them
+    embedded = await embedImages(drive, codeBlocks ? codeBlocks.content : preprocessed.content, { images, sourcePath, folderId }, requestId);
+
+    media = {
+      mimeType: 'text/markdown',
+      body: embedded.content
+    };
+  } else {
+    // Other formats are imported natively or converted to HTML first
+    media = await prepareInput(content, resolved.inputFormat, requestId);
+  }
+
+  console.log(`🚀 [${requestId}] Starting Google Drive API call...`);
+
+  let response;
+  try {
+    // Create the document using Google's native import
+    response = await drive.files.create({
+      resource: fileMetadata,
+      media: media,
+      fields: DOCUMENT_FIELDS
+    });
+  } finally {
+    await removeUploadedImages(drive, embedded.uploadedIds, requestId);
+  }
+
+  const documentData = response.data;
+  console.log(`✅ [${requestId}] Google Drive API call successful!`);
+  console.log(`📄 [${requestId}] Document ID: ${documentData.id}`);
+  console.log(`🔗 [${requestId}] Document URL: ${documentData.webViewLink}`);
+
+  const codeHighlighting = codeBlocks && codeBlocks.blocks.length > 0
+    ? await highlightDocument(authClient, documentData.id, codeBlocks.blocks, resolved.codeHighlighting, requestId)
+    : null;
+
+  // Style profiles are applied with the Docs API once Google has imported the content
+  const styling = resolved.styling
+    ? await styleDocument(authClient, documentData.id, resolved.styling, requestId)
+    : null;
+
+  // Apply sharing settings if provided
+  if (sharing) {
+    console.log(`🔐 [${requestId}] Applying sharing settings...`);
+    await applySharing(drive, documentData.id, sharing, requestId);
+  }
+
+  return {
+    document: formatDocument(documentData),
+    lint: lint || undefined,
+    images: embedded.report || undefined,
+    frontMatter: frontMatter || undefined,
+    extensions: preprocessed.report || undefined,
+    codeHighlighting: codeHighlighting || undefined,
+    styling: styling || undefined
+  };
+}
+
+/**
+ * Rebuild extracted code blocks as highlighted tables in a created document.
+ * On failure the original code replaces any placeholders left behind.
+ */
+async function highlightDocument(authClient, documentId, blocks, options, requestId = 'unknown') {
+  const theme = (typeof options === 'object' && options.theme) || DEFAULT_THEME;
+  const docs = google.docs({ version: 'v1', auth: authClient });
+
+  try {
+    const result = await applyCodeHighlighting(docs, documentId, blocks, theme, requestId);
+    return { applied: true, ...result };
+  } catch (error) {
+    console.log(`⚠️  [${requestId}] Code highlighting failed: ${error.message}`);
+    logError('Code highlighting failed', { requestId, documentId, error: error.message });
+
+    await restorePlaceholders(docs, documentId, blocks).catch((restoreError) => {
+      logError('Failed to restore code blocks', { requestId, documentId, error: restoreError.message });
+    });
+
+    return { theme, applied: false, error: error.message };
+  }
+}
+
+/**
+ * Apply a named style profile to a created document.
+ * Like sharing, a styling failure is reported rather than failing the conversion.
+ */
+async function styleDocument(authClient, documentId, styling, requestId = 'unknown') {
+  const { profile: name, header, footer } = styling;
+
+  try {
+    const profile = await getProfile(name);
+    if (!profile) {
+      return { profile: name, applied: false, error: `Style profile "${name}" does not exist` };
+    }
+
+    const docs = google.docs({ version: 'v1', auth: authClient });
+    const { requests } = await applyStyleProfile(docs, documentId, profile, { header, footer }, requestId);
+
+    return { profile: name, applied: true, requests };
+  } catch (error) {
+    console.log(`⚠️  [${requestId}] Styling failed: ${error.message}`);
+    logError('Document styling failed', { requestId, documentId, profile: name, error: error.message });
+    return { profile: name, applied: false, error: error.message };
+  }
+}
+
+/**
+ * Convert several markdown documents with bounded concurrency.
+ * Results keep the order of the input items and a failing item never aborts the rest.
+ */
+async function convertBatch(authClient, items, concurrency = 3, requestId = 'unknown') {
+  return mapWithConcurrency(items, concurrency, async (item, index) => {
+    const itemRequestId = `${requestId}#${index}`;
+
+    try {
+      const { document, ...report } = await convertMarkdownToDoc(authClient, item, itemRequestId);
+      return { index, success: true, document, ...report };
+    } catch (error) {
+      console.log(`❌ [${itemRequestId}] Batch item failed: ${error.message}`);
+      return { index, success: false, error: formatItemError(error) };
+    }
+  });
+}
+
+/**
+ * Convert a set of interlinked markdown documents, rewriting relative links between them
+ * to the created Google Docs. Items carry a `path` that links are resolved against.
+ *
+ * Empty documents are created first so every link target has a URL before any content
+ * is imported, then each body is uploaded and anchor links are pointed at their headings.
+ * The document of an item that fails is deleted, and links to it are reported as warnings.
+ */
+async function convertLinkedDocuments(authClient, items, concurrency = 3, requestId = 'unknown') {
+  const drive = google.drive({ version: 'v3', auth: authClient });
+  const docs = google.docs({ version: 'v1', auth: authClient });
+
+  // Front-matter can set the title and folder, so it is applied before reserving documents
+  const prepared = items.map(item => applyFrontMatter(item));
+
+  const reserved = await mapWithConcurrency(prepared, concurrency, async ({ options }) => {
+    try {
+      return { document: await reserveDoc(drive, options) };
+    } catch (error) {
+      return { error };
+    }
+  });
+
+  const documentsByPath = new Map();
+  items.forEach((item, index) => {
+    if (item.path && reserved[index].document) {
+      documentsByPath.set(normalisePath(item.path), reserved[index].document);
+    }
+  });
+
+  console.log(`🔗 [${requestId}] Reserved ${documentsByPath.size} document(s) for link rewriting`);
+
+  const results = await mapWithConcurrency(prepared, concurrency, async ({ options: item, report: frontMatter }, index) => {
+    const itemRequestId = `${requestId}#${index}`;
+    const base = item.path ? { index, path: item.path } : { index };
+
+    if (reserved[index].error) {
+      return { ...base, success: false, error: formatItemError(reserved[index].error), frontMatter: frontMatter || undefined };
+    }
+
+    const rewritten = item.path
+      ? rewriteMarkdownLinks(item.content, item.path, documentsByPath)
+      : { content: item.content, warnings: [], anchorLinks: 0, links: [] };
+
+    try {
+      const { document, ...report } = await updateDocFromMarkdown(authClient, reserved[index].document.id, {
+        content: rewritten.content,
+        sharing: item.sharing,
+        images: item.images,
+        extensions: item.extensions,
+        sourcePath: item.path,
+        folderId: item.folderId
+      }, itemRequestId);
+
+      return {
+        ...base,
+        success: true,
+        document,
+        ...report,
+        frontMatter: frontMatter || undefined,
+        warnings: rewritten.warnings,
+        anchorLinks: rewritten.anchorLinks,
+        links: rewritten.links
+      };
+    } catch (error) {
+      console.log(`❌ [${itemRequestId}] Linked item failed: ${error.message}`);
+
+      // Don't leave an empty placeholder document behind
+      await drive.files.delete({ fileId: reserved[index].document.id }).catch(() => {});
+
+      return { ...base, success: false, error: formatItemError(error), frontMatter: frontMatter || undefined, warnings: rewritten.warnings };
+    }
+  });
+
+  // Links were rewritten before it was known which items would fail
+  const failedPaths = new Set();
+  const deletedIds = new Set();
+  items.forEach((item, index) => {
+    if (!results[index].success && reserved[index].document) {
+      if (item.path) failedPaths.add(normalisePath(item.path));
+      deletedIds.add(reserved[index].document.id);
+    }
+  });
+
+  // Anchor links can only be resolved once every target has been imported
+  const headingCache = new Map();
+  for (const result of results) {
+    if (result.success) {
+      for (const { line, link, path } of result.links) {
+        if (failedPaths.has(path)) {
+          result.warnings.push({
+            line,
+            link,
+            message: `Linked document "${path}" failed to convert and was deleted, so this link is broken`
+          });
+        }
+      }
+    }
+
+    if (result.success && result.anchorLinks > 0) {
+      const anchorWarnings = await resolveAnchorLinks(docs, result.document.id, headingCache, deletedIds, requestId);
+      result.warnings.push(...anchorWarnings);
+    }
+    delete result.anchorLinks;
+    delete result.links;
+  }
+
+  return results;
+}
+
+/**
+ * Create an empty Google Doc so its URL is known before the content is imported
+ */
+async function reserveDoc(drive, options) {
+  const { title = options.defaultTitle || 'Untitled Document', folderId } = options;
+
+  const fileMetadata = {
+    name: title,
+    mimeType: 'application/vnd.google-apps.document',
+    ...buildDriveMetadata(options)
+  };
+
+  if (folderId) {
+    fileMetadata.parents = [folderId];
+  }
+
+  const response = await drive.files.create({
+    resource: fileMetadata,
+    fields: DOCUMENT_FIELDS
+  });
+
+  return formatDocument(response.data);
+}
+
+/**
+ * Point placeholder anchor links in a document at the matching heading of their target.
+ * Links to `deletedIds` point at the document itself, as there are no headings to read.
+ * Returns warnings for anchors that could not be matched instead of throwing.
+ */
+async function resolveAnchorLinks(docs, documentId, headingCache, deletedIds, requestId = 'unknown') {
+  const warnings = [];
+
+  try {
+    const { data: document } = await docs.documents.get({ documentId });
+    const requests = [];
+
+    for (const link of findAnchorLinks(document)) {
+      if (deletedIds.has(link.documentId)) {
+        headingCache.set(link.documentId, new Map());
+      } else if (!headingCache.has(link.documentId)) {
+        const { data: target } = link.documentId === documentId
+          ? { data: document }
+          : await docs.documents.get({ documentId: link.documentId });
+        headingCache.set(link.documentId, getHeadingIds(target));
+      }
+
+      const headingId = headingCache.get(link.documentId).get(slugify(link.fragment));
+      const baseUrl = `https://docs.google.com/document/d/${link.documentId}/edit`;
+
+      // Links to deleted documents are already reported as broken
+      if (!headingId && !deletedIds.has(link.documentId)) {
+        warnings.push({
+          link: `#${link.fragment}`,
+          message: 'Heading not found in the linked document, linking to the document instead'
+        });
+      }
+
+      requests.push({
+        updateTextStyle: {
+          range: { startIndex: link.startIndex, endIndex: link.endIndex },
+          textStyle: { link: { url: headingId ? `${baseUrl}#heading=${headingId}` : baseUrl } },
+          fields: 'link'
+        }
+      });
+    }
+
+    if (requests.length > 0) {
+      await docs.documents.batchUpdate({
+        documentId,
+        requestBody: { requests }
+      });
+    }
+  } catch (error) {
+    console.log(`⚠️  [${requestId}] Anchor link resolution failed for ${documentId}: ${error.message}`);
+    warnings.push({ message: `Anchor links could not be resolved: ${error.message}` });
+  }
+
+  return warnings;
+}
+
+/**
+ * Shape an error for a per-item result in bulk conversions
+ */
+function formatItemError(error) {
+  return {
+    message: error.message,
+    code: error.code
+  };
+}
+
+/**
+ * Replace the body of an existing Google Doc with converted markdown.
+ * Resolves to { document, ...report } like convertMarkdownToDoc.
+ */
+async function updateDocFromMarkdown(authClient, documentId, options, requestId = 'unknown') {
+  const { options: resolved, report: frontMatter } = applyFrontMatter(options);
+  const { content, title, sharing, images, sourcePath, folderId } = resolved;
+
+  const drive = google.drive({ version: 'v3', auth: authClient });
+
+  // Only rename the document when a new title is explicitly provided.
+  // The file stays where it is, so a folder from the front-matter is not applied.
+  const fileMetadata = buildDriveMetadata(resolved);
+  if (title) {
+    fileMetadata.name = title;
+  }
+
+  const preprocessed = await preprocessMarkdown(content, resolved.extensions, requestId);
+  const embedded = await embedImages(drive, preprocessed.content, { images, sourcePath, folderId }, requestId);
+
+  console.log(`🚀 [${requestId}] Starting Google Drive API update call...`);
+
+  let response;
+  try {
+    // Replace the document body in place so the file ID, URL and sharing are preserved
+    response = await drive.files.update({
+      fileId: documentId,
+      resource: fileMetadata,
+      media: {
+        mimeType: 'text/markdown',
+        body: embedded.content
+      },
+      fields: `${DOCUMENT_FIELDS},modifiedTime`
+    });
+  } finally {
+    await removeUploadedImages(drive, embedded.uploadedIds, requestId);
+  }
+
+  const documentData = response.data;
+  console.log(`✅ [${requestId}] Document updated: ${documentData.id}`);
+
+  if (sharing) {
+    console.log(`🔐 [${requestId}] Applying sharing settings...`);
+    await applySharing(drive, documentData.id, sharing, requestId);
+  }
+
+  return {
+    document: formatDocument(documentData),
+    images: embedded.report || undefined,
+    frontMatter: frontMatter || undefined,
+    extensions: preprocessed.report || undefined
+  };
+}
+
+/**
+ * Pick the optional Drive file metadata (description and custom properties) from options
+ */
+function buildDriveMetadata({ description, appProperties, properties }) {
+  const metadata = {};
+
+  if (description !== undefined) metadata.description = description;
+  if (appProperties && Object.keys(appProperties).length > 0) metadata.appProperties = appProperties;
+  if (properties && Object.keys(properties).length > 0) metadata.properties = properties;
+
+  return metadata;
+}
+
+/**
+ * Shape Drive file data into the document payload returned by the API
+ */
+function formatDocument(documentData) {
+  return {
+    id: documentData.id,
+    name: documentData.name,
+    webViewLink: documentData.webViewLink,
+    webContentLink: documentData.webContentLink,
+    createdTime: documentData.createdTime,
+    modifiedTime: documentData.modifiedTime,
+    size: documentData.size
+  };
+}
+
+/**
+ * Apply sharing settings to a document
+ */
+async function applySharing(drive, fileId, sharingSettings, requestId = 'unknown') {
+  try {
+    const { visibility = 'private', role = 'reader', emails = [] } = sharingSettings;
+
+    console.log(`🔐 [${requestId}] Configuring sharing: visibility=${visibility}, role=${role}, emails=${emails.length}`);
+
+    // Set general visibility
+    if (visibility === 'public') {
+      console.log(`🌍 [${requestId}] Making document public with role: ${role}`);
+      await drive.permissions.create({
+        fileId: fileId,
+        resource: {
+          role: role,
+          type: 'anyone'
+        }
+      });
+    }
+
+    // Share with specific emails
+    for (const email of emails) {
+      console.log(`📧 [${requestId}] Sharing with: ${email} (role: ${role})`);
+      await drive.permissions.create({
+        fileId: fileId,
+        resource: {
+          role: role,
+          type: 'user',
+          emailAddress: email
+        },
+        sendNotificationEmail: true
+      });
+    }
+
+    console.log(`✅ [${requestId}] Sharing configuration completed successfully`);
+
+  } catch (error) {
+    console.log(`⚠️  [${requestId}] Sharing configuration failed: ${error.message}`);
+    logError('Sharing configuration failed', { requestId, error });
+    // Don't throw - sharing failure shouldn't fail the entire conversion
+  }
+}
+
+/**
+ * Map over items running at most `limit` async calls at a time, preserving order
+ */
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let nextIndex = 0;
+
+  const worker = async () => {
+    while (nextIndex < items.length) {
+      const index = nextIndex++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+
+  const workerCount = Math.max(1, Math.min(limit, items.length));
+  await Promise.all(Array.from({ length: workerCount }, worker));
+
+  return results;
+}
+
+module.exports = {
+  convertMarkdownToDoc,
+  convertBatch,
+  convertLinkedDocuments,
+  updateDocFromMarkdown,
+  formatDocument,
+  applySharing,
+  mapWithConcurrency
+};
@@ -0,0 +1,54 @@
+const { google } = require('googleapis');
+
+// Formats Drive can export a Google Doc to
+const EXPORT_FORMATS = {
+  pdf: { mimeType: 'application/pdf', extension: 'pdf' },
+  docx: { mimeType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+  odt: { mimeType: 'application/vnd.oasis.opendocument.text', extension: 'odt' },
+  html: { mimeType: 'text/html', extension: 'html' },
+  txt: { mimeType: 'text/plain', extension: 'txt' },
+  epub: { mimeType: 'application/epub+zip', extension: 'epub' }
+};
+
+/**
+ * Export a Google Doc with Drive's converter.
+ * Resolves to { stream, mimeType, filename } where the filename is the document's name
+ * with the format's extension.
+ */
+async function exportDocument(authClient, documentId, format, requestId = 'unknown') {
+  const { mimeType, extension } = EXPORT_FORMATS[format];
+  const drive = google.drive({ version: 'v3', auth: authClient });
+
+  const { data: metadata } = await drive.files.get({
+    fileId: documentId,
+    fields: 'id,name'
+  });
+
+  const response = await drive.files.export({
+    fileId: documentId,
+    mimeType
+  }, {
+    responseType: 'stream'
+  });
+
+  console.log(`📤 [${requestId}] Exporting ${documentId} as ${format}`);
+
+  return {
+    stream: response.data,
+    mimeType,
+    filename: `${metadata.name || 'document'}.${extension}`
+  };
+}
+
+/**
+ * Drive refuses to export documents over its size limit with a 403
+ */
+function isExportTooLarge(error) {
+  return (error.errors || []).some(item => item.reason === 'exportSizeLimitExceeded');
+}
+
+module.exports = {
+  EXPORT_FORMATS,
+  exportDocument,
+  isExportTooLarge
+};
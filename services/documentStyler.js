@@ -0,0 +1,269 @@
+const { walkParagraphs } = require('./linkRewriter');
+
+// Fonts the importer (or an author) uses for code - runs in these keep a monospace font
+const MONOSPACE_FONTS = [
+  'Courier New', 'Courier', 'Consolas', 'Roboto Mono', 'Source Code Pro', 'Inconsolata',
+  'Fira Code', 'JetBrains Mono', 'Ubuntu Mono', 'IBM Plex Mono', 'Space Mono', 'Cousine'
+];
+
+/**
+ * Convert a #rrggbb colour to the Docs API colour shape
+ */
+function toColor(hex) {
+  const value = parseInt(hex.slice(1), 16);
+  return {
+    color: {
+      rgbColor: {
+        red: ((value >> 16) & 0xff) / 255,
+        green: ((value >> 8) & 0xff) / 255,
+        blue: (value & 0xff) / 255
+      }
+    }
+  };
+}
+
+/**
+ * Convert points to the Docs API dimension shape
+ */
+function toPoints(magnitude) {
+  return { magnitude, unit: 'PT' };
+}
+
+/**
+ * Check whether a text run uses a monospace font
+ */
+function isMonospace(textRun) {
+  const family = textRun.textStyle?.weightedFontFamily?.fontFamily;
+  return Boolean(family) && MONOSPACE_FONTS.includes(family);
+}
+
+/**
+ * Fill in header/footer placeholders
+ */
+function fillPlaceholders(text, { title }) {
+  return text
+    .replace(/\{title\}/g, title || '')
+    .replace(/\{date\}/g, new Date().toISOString().slice(0, 10));
+}
+
+/**
+ * Build the batchUpdate requests that apply a profile to the document body.
+ * Requests are applied in order, so later, narrower styles override the body-wide ones.
+ */
+function buildStyleRequests(document, profile) {
+  const requests = [];
+  const content = document.body?.content || [];
+  const bodyEnd = content.length > 0 ? content[content.length - 1].endIndex : 1;
+  // The final newline of the body can't be styled
+  const clamp = (index) => Math.min(index, bodyEnd - 1);
+
+  const documentStyle = {};
+  for (const [side, value] of Object.entries(profile.margins || {})) {
+    documentStyle[`margin${side[0].toUpperCase()}${side.slice(1)}`] = toPoints(value);
+  }
+
+  if (Object.keys(documentStyle).length > 0) {
+    requests.push({
+      updateDocumentStyle: {
+        documentStyle,
+        fields: Object.keys(documentStyle).join(',')
+      }
+    });
+  }
+
+  if (bodyEnd <= 2) {
+    return requests;
+  }
+
+  const bodyRange = { startIndex: 1, endIndex: clamp(bodyEnd) };
+
+  if (profile.lineSpacing) {
+    requests.push({
+      updateParagraphStyle: {
+        range: bodyRange,
+        paragraphStyle: { lineSpacing: profile.lineSpacing },
+        fields: 'lineSpacing'
+      }
+    });
+  }
+
+  const bodyStyle = {};
+  if (profile.font?.family) bodyStyle.weightedFontFamily = { fontFamily: profile.font.family };
+  if (profile.font?.size) bodyStyle.fontSize = toPoints(profile.font.size);
+
+  if (Object.keys(bodyStyle).length > 0) {
+    requests.push({
+      updateTextStyle: {
+        range: bodyRange,
+        textStyle: bodyStyle,
+        fields: Object.keys(bodyStyle).join(',')
+      }
+    });
+  }
+
+  const headingRequests = [];
+  const codeRequests = [];
+  const codeFont = profile.codeBlocks?.font;
+
+  walkParagraphs(content, (paragraph) => {
+    const elements = paragraph.elements || [];
+    if (elements.length === 0) return;
+
+    const startIndex = elements[0].startIndex;
+    const endIndex = clamp(elements[elements.length - 1].endIndex);
+    if (endIndex <= startIndex) return;
+
+    const namedStyle = paragraph.paragraphStyle?.namedStyleType || '';
+    const level = namedStyle === 'TITLE' ? 1 : parseInt(namedStyle.replace('HEADING_', ''));
+
+    if (namedStyle === 'TITLE' || namedStyle.startsWith('HEADING_')) {
+      const headingStyle = {};
+      if (profile.headings?.font) headingStyle.weightedFontFamily = { fontFamily: profile.headings.font };
+      if (profile.headings?.color) headingStyle.foregroundColor = toColor(profile.headings.color);
+
+      const size = profile.headings?.sizes?.[level];
+      if (size) headingStyle.fontSize = toPoints(size);
+
+      if (Object.keys(headingStyle).length > 0) {
+        headingRequests.push({
+          updateTextStyle: {
+            range: { startIndex, endIndex },
+            textStyle: headingStyle,
+            fields: Object.keys(headingStyle).join(',')
+          }
+        });
+      }
+      return;
+    }
+
+    // Code keeps a monospace font after the body font is changed
+    const runs = elements.filter(element => element.textRun);
+    const codeRuns = runs.filter(element => isMonospace(element.textRun));
+
+    for (const run of codeRuns) {
+      const runEnd = clamp(run.endIndex);
+      if (runEnd <= run.startIndex) continue;
+
+      codeRequests.push({
+        updateTextStyle: {
+          range: { startIndex: run.startIndex, endIndex: runEnd },
+          textStyle: { weightedFontFamily: { fontFamily: codeFont || run.textRun.textStyle.weightedFontFamily.fontFamily } },
+          fields: 'weightedFontFamily'
+        }
+      });
+    }
+
+    // A paragraph that is entirely monospace is part of a code block
+    const isCodeBlock = codeRuns.length > 0 && runs.every(run => isMonospace(run.textRun) || !run.textRun.content.trim());
+
+    if (isCodeBlock && profile.codeBlocks?.background) {
+      codeRequests.push({
+        updateParagraphStyle: {
+          range: { startIndex, endIndex },
+          paragraphStyle: { shading: { backgroundColor: toColor(profile.codeBlocks.background) } },
+          fields: 'shading.backgroundColor'
+        }
+      });
+    }
+  });
+
+  return [...requests, ...headingRequests, ...codeRequests];
+}
+
+/**
+ * Build the requests that write text into an empty header or footer segment
+ */
+function buildSegmentTextRequests(segmentId, text, profile) {
+  const requests = [{
+    insertText: {
+      location: { segmentId, index: 0 },
+      text
+    }
+  }];
+
+  const textStyle = { fontSize: toPoints(Math.max(6, (profile.font?.size || 11) - 2)) };
+  const fields = ['fontSize'];
+
+  if (profile.font?.family) {
+    textStyle.weightedFontFamily = { fontFamily: profile.font.family };
+    fields.push('weightedFontFamily');
+  }
+
+  requests.push({
+    updateTextStyle: {
+      range: { segmentId, startIndex: 0, endIndex: text.length },
+      textStyle,
+      fields: fields.join(',')
+    }
+  });
+
+  return requests;
+}
+
+/**
+ * Apply a style profile to an imported Google Doc with the Docs API.
+ * Header and footer segments have to exist before text can be inserted into them,
+ * so they are created in a first batch and filled in a second one.
+ */
+async function applyStyleProfile(docs, documentId, profile, options = {}, requestId = 'unknown') {
+  const { data: document } = await docs.documents.get({ documentId });
+
+  const requests = buildStyleRequests(document, profile);
+
+  const header = options.header !== undefined ? options.header : profile.header;
+  const footer = options.footer !== undefined ? options.footer : profile.footer;
+  const segments = [];
+
+  if (header && !document.documentStyle?.defaultHeaderId) {
+    segments.push({ key: 'header', text: header });
+    requests.push({ createHeader: { type: 'DEFAULT' } });
+  }
+
+  if (footer && !document.documentStyle?.defaultFooterId) {
+    segments.push({ key: 'footer', text: footer });
+    requests.push({ createFooter: { type: 'DEFAULT' } });
+  }
+
+  if (requests.length === 0) {
+    return { requests: 0 };
+  }
+
+  const { data: result } = await docs.documents.batchUpdate({
+    documentId,
+    requestBody: { requests }
+  });
+
+  // Replies line up with requests, so the header/footer replies are the last ones
+  const replies = segments.length > 0 ? (result.replies || []).slice(-segments.length) : [];
+  const segmentRequests = [];
+
+  segments.forEach((segment, index) => {
+    const reply = replies[index] || {};
+    const segmentId = segment.key === 'header' ? reply.createHeader?.headerId : reply.createFooter?.footerId;
+    const text = fillPlaceholders(segment.text, { title: document.title });
+
+    if (segmentId && text) {
+      segmentRequests.push(...buildSegmentTextRequests(segmentId, text, profile));
+    }
+  });
+
+  if (segmentRequests.length > 0) {
+    await docs.documents.batchUpdate({
+      documentId,
+      requestBody: { requests: segmentRequests }
+    });
+  }
+
+  const total = requests.length + segmentRequests.length;
+  console.log(`🎨 [${requestId}] Applied ${total} style request(s) to ${documentId}`);
+
+  return { requests: total };
+}
+
+module.exports = {
+  applyStyleProfile,
+  buildStyleRequests,
+  toColor,
+  toPoints,
+  isMonospace
+};
@@ -0,0 +1,44 @@
+const { mapProseLines } = require('../linkRewriter');
+
+const ADMONITION_PATTERN = /^(\s{0,3}>\s?)\[!(NOTE|TIP|IMPORTANT|WARNING|CAUTION)\][ \t]*(.*)$/i;
+const BLOCKQUOTE_PATTERN = /^\s{0,3}>/;
+
+const LABELS = {
+  NOTE: 'ℹ️ Note',
+  TIP: '💡 Tip',
+  IMPORTANT: '❗ Important',
+  WARNING: '⚠️ Warning',
+  CAUTION: '🛑 Caution'
+};
+
+/**
+ * GitHub-style alerts (`> [!NOTE]`) become a blockquote that starts with a bold label
+ */
+module.exports = {
+  name: 'admonitions',
+  description: 'GitHub-style alerts such as > [!NOTE] become labelled blockquotes',
+
+  transform(content) {
+    let count = 0;
+    let previous = '';
+
+    const transformed = mapProseLines(content, (line, lineNumber, masked) => {
+      const match = masked.match(ADMONITION_PATTERN);
+      // Only the first line of a blockquote can open an alert
+      const opensQuote = !BLOCKQUOTE_PATTERN.test(previous);
+      previous = line;
+
+      if (!match || !opensQuote) return line;
+
+      count++;
+      const [, prefix, type] = match;
+      const title = line.slice(masked.length - match[3].length).trim();
+      const label = `**${LABELS[type.toUpperCase()]}**${title ? ` ${title}` : ''}`;
+
+      // The empty quote line keeps the label from running into the alert's first paragraph
+      return `${prefix}${label}\n${prefix.trimEnd()}`;
+    });
+
+    return { content: transformed, count };
+  }
+};
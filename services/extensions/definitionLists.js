@@ -0,0 +1,62 @@
+const { mapProseBlocks } = require('../linkRewriter');
+
+const DEFINITION_PATTERN = /^ {0,3}:[ \t]+(.*)$/;
+const CONTINUATION_PATTERN = /^(?: {2,}|\t)\S/;
+// Lines that already start a block can't be a definition term
+const BLOCK_START_PATTERN = /^\s{0,3}(?:#|>|[-*+]\s|\d+[.)]\s|\||<)/;
+
+/**
+ * Definition lists (a term line followed by `: definition` lines) become a bold term
+ * with its definitions as a bullet list underneath
+ */
+module.exports = {
+  name: 'definitionLists',
+  description: 'Term / : definition lists become a bold term followed by its definitions',
+
+  transform(content) {
+    let count = 0;
+
+    const transformed = mapProseBlocks(content, (lines) => {
+      const output = [];
+      let inDefinition = false;
+
+      for (const line of lines) {
+        const match = line.match(DEFINITION_PATTERN);
+
+        if (match && inDefinition) {
+          output.push(`- ${match[1]}`);
+          continue;
+        }
+
+        if (match) {
+          // The term is the previous line, optionally separated by one blank line
+          let termIndex = output.length - 1;
+          if (termIndex >= 0 && output[termIndex].trim() === '') termIndex--;
+
+          const term = output[termIndex];
+          const standalone = termIndex === 0 || (termIndex > 0 && output[termIndex - 1].trim() === '');
+
+          if (term && term.trim() && standalone && !BLOCK_START_PATTERN.test(term)) {
+            output.splice(termIndex);
+            output.push(`**${term.trim()}**`, `- ${match[1]}`);
+            inDefinition = true;
+            count++;
+            continue;
+          }
+        }
+
+        if (inDefinition && CONTINUATION_PATTERN.test(line)) {
+          output.push(`  ${line.trim()}`);
+          continue;
+        }
+
+        inDefinition = false;
+        output.push(line);
+      }
+
+      return output;
+    });
+
+    return { content: transformed, count };
+  }
+};
@@ -0,0 +1,78 @@
+const { mapFencedBlocks } = require('../linkRewriter');
+const { getDiagramType, renderDiagram, RENDERERS } = require('../diagramRenderer');
+const { toAltText } = require('../imageEmbedder');
+
+const DIAGRAM_MAX_COUNT = parseInt(process.env.DIAGRAM_MAX_COUNT) || 20;
+
+/**
+ * ```mermaid and ```plantuml fences are rendered to PNG locally and replaced with the image.
+ * The image is emitted as a data URI, so the image embedding stage uploads it like any other.
+ * A block that fails to render is left as code and reported as a warning, as are blocks
+ * beyond DIAGRAM_MAX_COUNT in one document.
+ */
+module.exports = {
+  name: 'diagrams',
+  description: 'Mermaid and PlantUML code blocks are rendered to images',
+
+  // Counting the blocks is enough for previews, which shouldn't start a renderer
+  detect(content) {
+    let count = 0;
+    mapFencedBlocks(content, ({ language }) => {
+      if (getDiagramType(language)) count++;
+      return null;
+    });
+    return count;
+  },
+
+  async transform(content) {
+    const diagrams = [];
+
+    mapFencedBlocks(content, ({ language, code, line }) => {
+      const type = getDiagramType(language);
+      if (type) diagrams.push({ type, code, line });
+      return null;
+    });
+
+    if (diagrams.length === 0) {
+      return { content, count: 0 };
+    }
+
+    const warnings = [];
+
+    // Render one at a time - the renderers start a browser or a JVM each
+    for (const [index, diagram] of diagrams.entries()) {
+      if (index >= DIAGRAM_MAX_COUNT) {
+        warnings.push({
+          line: diagram.line,
+          message: `Document has more than ${DIAGRAM_MAX_COUNT} diagrams, kept as code`
+        });
+        continue;
+      }
+
+      try {
+        diagram.image = await renderDiagram(diagram.type, diagram.code);
+      } catch (error) {
+        warnings.push({
+          line: diagram.line,
+          message: `${RENDERERS[diagram.type].label} diagram could not be rendered, kept as code: ${error.message}`
+        });
+      }
+    }
+
+    let index = 0;
+    const transformed = mapFencedBlocks(content, ({ language }) => {
+      if (!getDiagramType(language)) return null;
+
+      const diagram = diagrams[index++];
+      if (!diagram.image) return null;
+
+      return `![${toAltText(diagram.code)}](data:image/png;base64,${diagram.image.toString('base64')})`;
+    });
+
+    return {
+      content: transformed,
+      count: diagrams.filter(diagram => diagram.image).length,
+      warnings
+    };
+  }
+};
@@ -0,0 +1,104 @@
+const { mapProseLines, mapProseBlocks } = require('../linkRewriter');
+
+const DEFINITION_PATTERN = /^ {0,3}\[\^([^\]\s]+)\]:[ \t]?(.*)$/;
+const CONTINUATION_PATTERN = /^(?: {2,}|\t)\S/;
+const REFERENCE_PATTERN = /\[\^([^\]\s]+)\](?!:)/g;
+
+const SUPERSCRIPT_DIGITS = '⁰¹²³⁴⁵⁶⁷⁸⁹';
+
+/**
+ * Write a footnote number with superscript digits, which survive the import unchanged
+ */
+function toSuperscript(number) {
+  return String(number).replace(/\d/g, digit => SUPERSCRIPT_DIGITS[digit]);
+}
+
+/**
+ * Footnotes (`text[^1]` with `[^1]: note`) become superscript numbers and a numbered
+ * list of notes at the end of the document
+ */
+module.exports = {
+  name: 'footnotes',
+  description: 'Footnote references become superscript numbers with the notes listed at the end',
+
+  transform(content) {
+    const definitions = new Map();
+    const warnings = [];
+
+    // First pass: lift the definitions (and their indented continuation lines) out of the text
+    const withoutDefinitions = mapProseBlocks(content, (lines) => {
+      const output = [];
+      let current = null;
+
+      for (const line of lines) {
+        const match = line.match(DEFINITION_PATTERN);
+
+        if (match) {
+          current = match[1];
+          definitions.set(current, [match[2].trim()]);
+          continue;
+        }
+
+        if (current && CONTINUATION_PATTERN.test(line)) {
+          definitions.get(current).push(line.trim());
+          continue;
+        }
+
+        current = null;
+        output.push(line);
+      }
+
+      return output;
+    });
+
+    if (definitions.size === 0) {
+      return { content, count: 0 };
+    }
+
+    // Second pass: number references in the order they first appear
+    const numbers = new Map();
+
+    const transformed = mapProseLines(withoutDefinitions, (line, lineNumber, masked) => {
+      let result = '';
+      let lastIndex = 0;
+
+      for (const match of masked.matchAll(REFERENCE_PATTERN)) {
+        const label = match[1];
+
+        if (!definitions.has(label)) {
+          warnings.push({ line: lineNumber, message: `Footnote [^${label}] has no definition` });
+          continue;
+        }
+
+        if (!numbers.has(label)) {
+          numbers.set(label, numbers.size + 1);
+        }
+
+        result += line.slice(lastIndex, match.index) + toSuperscript(numbers.get(label));
+        lastIndex = match.index + match[0].length;
+      }
+
+      return result + line.slice(lastIndex);
+    });
+
+    for (const label of definitions.keys()) {
+      if (!numbers.has(label)) {
+        warnings.push({ message: `Footnote [^${label}] is never referenced and was dropped` });
+      }
+    }
+
+    if (numbers.size === 0) {
+      return { content: withoutDefinitions, count: 0, warnings };
+    }
+
+    const notes = Array.from(numbers.keys()).map(label =>
+      `${numbers.get(label)}. ${definitions.get(label).join(' ')}`
+    );
+
+    return {
+      content: `${transformed.trimEnd()}\n\n---\n\n**Footnotes**\n\n${notes.join('\n')}\n`,
+      count: numbers.size,
+      warnings
+    };
+  }
+};
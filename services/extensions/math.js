@@ -0,0 +1,119 @@
+const { mapFencedBlocks, mapProseBlocks, maskCodeSpans } = require('../linkRewriter');
+const { toAltText } = require('../imageEmbedder');
+const { renderMath, MathSizeError } = require('../mathRenderer');
+
+const MATH_MAX_COUNT = parseInt(process.env.MATH_MAX_COUNT) || 100;
+
+const DISPLAY_OPEN_PATTERN = /^ {0,3}\$\$(.*)$/;
+const DISPLAY_CLOSE_PATTERN = /\$\$\s*$/;
+// $...$ must hug its content and not be followed by a digit, so prices like "$5 and $10" are left alone
+const INLINE_MATH_PATTERN = /(?<![\\$])\$\$(?=\S)(.+?)\$\$|(?<![\\$\w])\$(?=[^\s$])((?:\\.|[^$\\])*?[^\s\\])\$(?![\d$])/g;
+
+/**
+ * Call `render(tex, display, line)` for every math expression. It returns the replacement
+ * markdown, or null to leave the expression as it is.
+ */
+function replaceMath(content, render) {
+  // GitHub-style ```math fences hold a display equation
+  const withoutFences = mapFencedBlocks(content, ({ language, code, line }) =>
+    language === 'math' ? render(code, true, line) : null
+  );
+
+  return mapProseBlocks(withoutFences, (lines, startLine) => {
+    const output = [];
+
+    for (let index = 0; index < lines.length; index++) {
+      const lineNumber = startLine + index;
+      const opening = lines[index].match(DISPLAY_OPEN_PATTERN);
+
+      if (opening) {
+        // A display block closes on the same line or a later one, and can't span a blank line
+        let end = /\S/.test(opening[1].replace(DISPLAY_CLOSE_PATTERN, '')) && DISPLAY_CLOSE_PATTERN.test(opening[1]) ? index : -1;
+        for (let next = index + 1; end < 0 && next < lines.length && lines[next].trim(); next++) {
+          if (DISPLAY_CLOSE_PATTERN.test(lines[next])) end = next;
+        }
+
+        if (end >= 0) {
+          const tex = [opening[1], ...lines.slice(index + 1, end + 1)].join('\n').replace(DISPLAY_CLOSE_PATTERN, '').trim();
+          const image = render(tex, true, lineNumber);
+
+          output.push(...(image ? ['', image, ''] : lines.slice(index, end + 1)));
+          index = end;
+          continue;
+        }
+      }
+
+      const line = lines[index];
+      let result = '';
+      let lastIndex = 0;
+
+      for (const match of maskCodeSpans(line).matchAll(INLINE_MATH_PATTERN)) {
+        const display = match[1] !== undefined;
+        const tex = line.slice(match.index + (display ? 2 : 1), match.index + match[0].length - (display ? 2 : 1));
+        const image = render(tex, display, lineNumber);
+        if (!image) continue;
+
+        result += line.slice(lastIndex, match.index) + image;
+        lastIndex = match.index + match[0].length;
+      }
+
+      output.push(result + line.slice(lastIndex));
+    }
+
+    return output;
+  });
+}
+
+/**
+ * TeX math (`$inline$`, `$$display$$` and ```math fences) is rendered to images locally.
+ * `locate` lists the expressions without rendering them, for previews that may not render.
+ * Invalid and oversized expressions are left as text and reported per line, as are
+ * expressions beyond MATH_MAX_COUNT in one document.
+ */
+module.exports = {
+  name: 'math',
+  description: 'TeX math in $...$, $$...$$ and ```math blocks is rendered to images',
+
+  detect(content) {
+    let count = 0;
+    replaceMath(content, () => {
+      count++;
+      return null;
+    });
+    return count;
+  },
+
+  locate(content) {
+    const expressions = [];
+    replaceMath(content, (tex, display, line) => {
+      expressions.push({ line, expression: tex });
+      return null;
+    });
+    return expressions;
+  },
+
+  transform(content) {
+    const warnings = [];
+    let count = 0;
+    let found = 0;
+
+    const transformed = replaceMath(content, (tex, display, line) => {
+      if (found++ >= MATH_MAX_COUNT) {
+        warnings.push({ line, expression: tex, message: `Document has more than ${MATH_MAX_COUNT} math expressions, kept as text` });
+        return null;
+      }
+
+      try {
+        const image = renderMath(tex, { display });
+        count++;
+        return `![${toAltText(tex)}](data:image/png;base64,${image.toString('base64')})`;
+      } catch (error) {
+        const message = error instanceof MathSizeError ? `${error.message}, kept as text` : `Invalid TeX: ${error.message}`;
+        warnings.push({ line, expression: tex, message });
+        return null;
+      }
+    });
+
+    return { content: transformed, count, warnings };
+  }
+};
@@ -0,0 +1,26 @@
+const { mapProseLines } = require('../linkRewriter');
+
+const TASK_PATTERN = /^(\s*(?:>\s*)*(?:[-*+]|\d+[.)])\s+)\[([ xX])\](?=\s)/;
+
+/**
+ * Task list checkboxes (`- [ ]`, `- [x]`) become ballot box characters
+ */
+module.exports = {
+  name: 'taskLists',
+  description: 'Task list items such as - [x] Done get visible checkboxes',
+
+  transform(content) {
+    let count = 0;
+
+    const transformed = mapProseLines(content, (line, lineNumber, masked) => {
+      const match = masked.match(TASK_PATTERN);
+      if (!match) return line;
+
+      count++;
+      const box = match[2] === ' ' ? '☐' : '☑';
+      return match[1] + box + line.slice(match[0].length);
+    });
+
+    return { content: transformed, count };
+  }
+};
@@ -0,0 +1,54 @@
+const { mapProseLines } = require('../linkRewriter');
+
+const TOC_MARKER_PATTERN = /^\s{0,3}(?:\[\[_?toc_?\]\]|\[toc\])\s*$/i;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+
+/**
+ * `[[toc]]` markers become a nested list of the document's headings.
+ * Entries are plain text - Google Docs can't link to a heading before the document exists.
+ */
+module.exports = {
+  name: 'toc',
+  description: '[[toc]] markers become a nested list of the document\'s headings',
+
+  transform(content) {
+    const headings = [];
+
+    mapProseLines(content, (line, lineNumber, masked) => {
+      // Match the masked line so a `#` in a code span isn't taken for a heading
+      const match = masked.match(HEADING_PATTERN) && line.match(HEADING_PATTERN);
+      if (match && match[2]) {
+        headings.push({ level: match[1].length, text: match[2] });
+      }
+      return line;
+    });
+
+    const minLevel = Math.min(...headings.map(heading => heading.level));
+    const entries = [];
+    let depth = -1;
+
+    for (const heading of headings) {
+      // Skipped levels (## straight to ####) only indent one step
+      depth = Math.min(heading.level - minLevel, depth + 1);
+      entries.push(`${'  '.repeat(depth)}- ${heading.text}`);
+    }
+
+    let count = 0;
+    const warnings = [];
+
+    const transformed = mapProseLines(content, (line, lineNumber, masked) => {
+      if (!TOC_MARKER_PATTERN.test(masked)) return line;
+
+      count++;
+      if (entries.length === 0) {
+        warnings.push({ line: lineNumber, message: 'Document has no headings, table of contents removed' });
+        return '';
+      }
+
+      // Blank lines keep the list separate from the surrounding paragraphs
+      return `\n${entries.join('\n')}\n`;
+    });
+
+    return { content: transformed, count, warnings };
+  }
+};
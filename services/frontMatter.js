@@ -0,0 +1,148 @@
+const yaml = require('js-yaml');
+
+const FRONT_MATTER_PATTERN = /^\uFEFF?---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+
+// Keys that map onto conversion options or Drive metadata rather than custom properties
+const KNOWN_KEYS = ['title', 'folderId', 'sharing', 'description', 'appProperties', 'extensions'];
+
+// Drive limits each property's key and value to 124 bytes combined
+const PROPERTY_MAX_BYTES = 124;
+
+/**
+ * Split a leading YAML front-matter block from markdown content
+ */
+function parseFrontMatter(content) {
+  const match = content.match(FRONT_MATTER_PATTERN);
+  if (!match) {
+    return { content, data: null };
+  }
+
+  let data;
+  try {
+    data = yaml.load(match[1] || '', { schema: yaml.CORE_SCHEMA }) || {};
+  } catch (error) {
+    return { content, data: null, error: `Front-matter is not valid YAML: ${error.reason || error.message}` };
+  }
+
+  // A thematic break followed by text is not front-matter
+  if (typeof data !== 'object' || Array.isArray(data)) {
+    return { content, data: null };
+  }
+
+  return { content: content.slice(match[0].length), data };
+}
+
+/**
+ * Convert a front-matter value to the string form Drive properties require
+ */
+function toPropertyValue(value) {
+  if (value === null || value === undefined) return '';
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Add string properties to a target object, skipping ones that break Drive's size limit
+ */
+function addProperties(target, source, ignored) {
+  for (const [key, value] of Object.entries(source)) {
+    const stringValue = toPropertyValue(value);
+
+    if (Buffer.byteLength(key + stringValue, 'utf8') > PROPERTY_MAX_BYTES) {
+      ignored.push({ key, reason: `Key and value exceed Drive's ${PROPERTY_MAX_BYTES} byte property limit` });
+      continue;
+    }
+
+    target[key] = stringValue;
+  }
+}
+
+/**
+ * Strip front-matter from conversion options and merge its values in.
+ * Options passed explicitly always win over values from the front-matter.
+ *
+ * Returns the merged options and a report of what was applied, or a null report
+ * when the content has no front-matter.
+ */
+function applyFrontMatter(options) {
+  const { content, data, error } = parseFrontMatter(options.content);
+
+  if (error) {
+    return { options, report: { applied: [], properties: [], ignored: [], error } };
+  }
+
+  if (!data) {
+    return { options, report: null };
+  }
+
+  const merged = { ...options, content };
+  const applied = [];
+  const ignored = [];
+
+  if (merged.title === undefined && data.title !== undefined && data.title !== null) {
+    merged.title = String(data.title).slice(0, 200);
+    applied.push('title');
+  }
+
+  if (merged.folderId === undefined && typeof data.folderId === 'string') {
+    merged.folderId = data.folderId;
+    applied.push('folderId');
+  }
+
+  if (merged.sharing === undefined && data.sharing !== undefined) {
+    if (data.sharing && typeof data.sharing === 'object' && !Array.isArray(data.sharing)) {
+      merged.sharing = data.sharing;
+      applied.push('sharing');
+    } else {
+      ignored.push({ key: 'sharing', reason: 'Sharing settings must be an object' });
+    }
+  }
+
+  if (merged.description === undefined && data.description !== undefined && data.description !== null) {
+    merged.description = String(data.description);
+    applied.push('description');
+  }
+
+  if (merged.extensions === undefined && data.extensions !== undefined) {
+    if (Array.isArray(data.extensions) && data.extensions.every(name => typeof name === 'string')) {
+      merged.extensions = data.extensions;
+      applied.push('extensions');
+    } else {
+      ignored.push({ key: 'extensions', reason: 'Extensions must be a list of extension names' });
+    }
+  }
+
+  if (data.appProperties !== undefined) {
+    if (data.appProperties && typeof data.appProperties === 'object' && !Array.isArray(data.appProperties)) {
+      const appProperties = {};
+      addProperties(appProperties, data.appProperties, ignored);
+      merged.appProperties = { ...appProperties, ...options.appProperties };
+      applied.push('appProperties');
+    } else {
+      ignored.push({ key: 'appProperties', reason: 'appProperties must be an object' });
+    }
+  }
+
+  // Everything else is kept as a Drive file property so it can be queried later
+  const unknown = Object.fromEntries(Object.entries(data).filter(([key]) => !KNOWN_KEYS.includes(key)));
+  const properties = {};
+  addProperties(properties, unknown, ignored);
+
+  if (Object.keys(properties).length > 0) {
+    merged.properties = { ...properties, ...options.properties };
+  }
+
+  return {
+    options: merged,
+    report: {
+      applied,
+      properties: Object.keys(properties),
+      ignored
+    }
+  };
+}
+
+module.exports = {
+  FRONT_MATTER_PATTERN,
+  parseFrontMatter,
+  applyFrontMatter
+};
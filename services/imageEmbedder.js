@@ -0,0 +1,263 @@
+const path = require('path');
+const { Readable } = require('stream');
+const { logError } = require('../middleware/errorHandler');
+const { mapProseLines, replaceInlineTargets, parseRelativeTarget, normalisePath } = require('./linkRewriter');
+
+const IMAGE_MAX_BYTES = parseInt(process.env.IMAGE_MAX_BYTES) || 5 * 1024 * 1024;
+const IMAGE_MAX_COUNT = parseInt(process.env.IMAGE_MAX_COUNT) || 50;
+
+// Google Docs only renders these formats, so anything else is rejected up front
+const IMAGE_SIGNATURES = [
+  { mimeType: 'image/png', bytes: [0x89, 0x50, 0x4e, 0x47] },
+  { mimeType: 'image/jpeg', bytes: [0xff, 0xd8, 0xff] },
+  { mimeType: 'image/gif', bytes: [0x47, 0x49, 0x46, 0x38] }
+];
+
+const DATA_URI_PATTERN = /^data:([^;,]*)(;base64)?,(.*)$/s;
+
+/**
+ * Detect an allowed image type from its leading bytes, ignoring the declared type
+ */
+function detectImageType(buffer) {
+  const match = IMAGE_SIGNATURES.find(signature =>
+    signature.bytes.every((byte, index) => buffer[index] === byte)
+  );
+
+  return match ? match.mimeType : null;
+}
+
+/**
+ * Decode a data URI into a buffer, or return null if it is malformed
+ */
+function decodeDataUri(uri) {
+  const match = uri.match(DATA_URI_PATTERN);
+  if (!match) return null;
+
+  try {
+    return match[2]
+      ? Buffer.from(match[3], 'base64')
+      : Buffer.from(decodeURIComponent(match[3]), 'utf8');
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Normalise image attachments from a request ({ path: base64 or data URI }) or an
+ * archive (Map of path to Buffer) into a Map of normalised path to Buffer
+ */
+function normaliseAttachments(images) {
+  const attachments = new Map();
+  if (!images) return attachments;
+
+  const entries = images instanceof Map ? images.entries() : Object.entries(images);
+
+  for (const [imagePath, value] of entries) {
+    let data = value;
+    if (typeof value === 'string') {
+      data = value.startsWith('data:') ? decodeDataUri(value) : Buffer.from(value, 'base64');
+    }
+
+    if (data) {
+      attachments.set(normalisePath(imagePath), data);
+    }
+  }
+
+  return attachments;
+}
+
+/**
+ * Turn source text (diagram code, TeX) into image alt text: one line, without brackets that would end it
+ */
+function toAltText(source) {
+  return source.replace(/\s+/g, ' ').replace(/\[/g, '(').replace(/\]/g, ')').trim();
+}
+
+/**
+ * Short label for an image reference, keeping data URIs out of responses and logs
+ */
+function describeSource(target) {
+  return target.startsWith('data:') ? `${target.slice(0, target.indexOf(',') + 1)}...` : target;
+}
+
+/**
+ * Upload images referenced in markdown to Drive and point the references at them, so
+ * Google's importer can fetch screenshots that only exist locally or as data URIs.
+ *
+ * Returns the rewritten content, a report of embedded and rejected images, and the IDs
+ * of the uploaded files so they can be removed once the import has finished.
+ * Without a Drive client (previews), accepted images are inlined as data URIs instead.
+ */
+async function embedImages(drive, content, options = {}, requestId = 'unknown') {
+  const { images, sourcePath = '', folderId } = options;
+  const attachments = normaliseAttachments(images);
+  const sourceDir = path.posix.dirname(normalisePath(sourcePath || '.'));
+
+  const references = new Map();
+  const rejected = [];
+
+  // First pass: collect every local or inline image reference
+  mapProseLines(content, (line, lineNumber, masked) => {
+    replaceInlineTargets(line, masked, (rawTarget, isImage) => {
+      if (!isImage || references.has(rawTarget)) return null;
+
+      const target = rawTarget.startsWith('<') ? rawTarget.slice(1, -1) : rawTarget;
+
+      if (target.startsWith('data:')) {
+        references.set(rawTarget, { key: rawTarget, lineNumber, name: 'inline-image', data: decodeDataUri(target) });
+        return null;
+      }
+
+      const parsed = parseRelativeTarget(rawTarget);
+      if (!parsed) return null; // Remote images are fetched by Google directly
+
+      const resolvedPath = parsed.targetPath.startsWith('/')
+        ? normalisePath(parsed.targetPath)
+        : normalisePath(path.posix.join(sourceDir, parsed.targetPath));
+      references.set(rawTarget, {
+        key: resolvedPath,
+        lineNumber,
+        name: path.posix.basename(resolvedPath),
+        data: attachments.get(resolvedPath) || null,
+        missing: !attachments.has(resolvedPath)
+      });
+      return null;
+    });
+    return line;
+  });
+
+  if (references.size === 0) {
+    return { content, report: null, uploadedIds: [] };
+  }
+
+  const urls = new Map();
+  const uploadedUrls = new Map();
+  const embedded = [];
+  const uploadedIds = [];
+
+  for (const [rawTarget, reference] of references) {
+    // The same file referenced with different relative paths is only uploaded once
+    if (uploadedUrls.has(reference.key)) {
+      urls.set(rawTarget, uploadedUrls.get(reference.key));
+      continue;
+    }
+
+    const source = describeSource(rawTarget);
+    const reject = (reason) => rejected.push({ source, line: reference.lineNumber, reason });
+
+    if (reference.missing) {
+      reject('Image file was not provided with the request');
+      continue;
+    }
+
+    if (!reference.data) {
+      reject('Image data could not be decoded');
+      continue;
+    }
+
+    if (reference.data.length > IMAGE_MAX_BYTES) {
+      reject(`Image exceeds the ${IMAGE_MAX_BYTES} byte limit`);
+      continue;
+    }
+
+    const mimeType = detectImageType(reference.data);
+    if (!mimeType) {
+      reject('Unsupported image type - only PNG, JPEG and GIF are allowed');
+      continue;
+    }
+
+    if (embedded.length >= IMAGE_MAX_COUNT) {
+      reject(`Document references more than ${IMAGE_MAX_COUNT} images`);
+      continue;
+    }
+
+    if (!drive) {
+      const url = `data:${mimeType};base64,${reference.data.toString('base64')}`;
+      uploadedUrls.set(reference.key, url);
+      urls.set(rawTarget, url);
+      embedded.push({ source, mimeType, size: reference.data.length });
+      continue;
+    }
+
+    try {
+      const fileId = await uploadImage(drive, reference, mimeType, folderId);
+      const url = `https://drive.google.com/uc?export=view&id=${fileId}`;
+      uploadedIds.push(fileId);
+      uploadedUrls.set(reference.key, url);
+      urls.set(rawTarget, url);
+      embedded.push({ source, fileId, mimeType, size: reference.data.length });
+    } catch (error) {
+      logError('Image upload failed', { requestId, source, error: error.message });
+      reject(`Upload to Drive failed: ${error.message}`);
+    }
+  }
+
+  console.log(`🖼️  [${requestId}] Embedded ${embedded.length} image(s), rejected ${rejected.length}`);
+
+  // Second pass: point references at the uploaded copies
+  const rewritten = mapProseLines(content, (line, lineNumber, masked) =>
+    replaceInlineTargets(line, masked, (rawTarget, isImage) => (isImage ? urls.get(rawTarget) || null : null))
+  );
+
+  return {
+    content: rewritten,
+    report: { embedded, rejected },
+    uploadedIds
+  };
+}
+
+/**
+ * Upload an image to Drive and make it readable by link so the importer can fetch it
+ */
+async function uploadImage(drive, reference, mimeType, folderId) {
+  const resource = { name: reference.name };
+  if (folderId) {
+    resource.parents = [folderId];
+  }
+
+  const response = await drive.files.create({
+    resource,
+    media: {
+      mimeType,
+      body: Readable.from(reference.data)
+    },
+    fields: 'id'
+  });
+
+  try {
+    await drive.permissions.create({
+      fileId: response.data.id,
+      resource: {
+        role: 'reader',
+        type: 'anyone'
+      }
+    });
+  } catch (error) {
+    // The copy is useless without link access, so don't leave it behind in the user's Drive
+    await drive.files.delete({ fileId: response.data.id }).catch(() => {});
+    throw error;
+  }
+
+  return response.data.id;
+}
+
+/**
+ * Delete the temporary image copies once Google has imported them into the document
+ */
+async function removeUploadedImages(drive, fileIds, requestId = 'unknown') {
+  for (const fileId of fileIds) {
+    try {
+      await drive.files.delete({ fileId });
+    } catch (error) {
+      logError('Failed to remove temporary image', { requestId, fileId, error: error.message });
+    }
+  }
+}
+
+module.exports = {
+  embedImages,
+  removeUploadedImages,
+  detectImageType,
+  decodeDataUri,
+  toAltText
+};
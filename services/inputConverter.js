@@ -0,0 +1,97 @@
+const { execFile } = require('child_process');
+const asciidoctor = require('@asciidoctor/core')();
+
+const PANDOC_CLI = process.env.PANDOC_CLI || 'pandoc';
+const PANDOC_TIMEOUT_MS = parseInt(process.env.PANDOC_TIMEOUT_MS) || 30000;
+
+/**
+ * Raised when input in a non-markdown format can't be converted
+ */
+class InputFormatError extends Error {
+  constructor(message, status = 422) {
+    super(message);
+    this.name = 'InputFormatError';
+    this.status = status;
+  }
+}
+
+/**
+ * Convert reStructuredText to HTML with the local pandoc. `--sandbox` stops
+ * directives like `include` from reading files on the server.
+ */
+function rstToHtml(content) {
+  return new Promise((resolve, reject) => {
+    const child = execFile(PANDOC_CLI, ['--sandbox', '--from', 'rst', '--to', 'html5'], {
+      timeout: PANDOC_TIMEOUT_MS,
+      maxBuffer: 20 * 1024 * 1024,
+      windowsHide: true
+    }, (error, stdout, stderr) => {
+      if (!error) return resolve(stdout);
+
+      if (error.code === 'ENOENT') {
+        reject(new InputFormatError('reStructuredText input needs pandoc, which is not installed on the server', 501));
+      } else if (error.killed) {
+        reject(new InputFormatError(`reStructuredText conversion timed out after ${PANDOC_TIMEOUT_MS}ms`));
+      } else {
+        const detail = `${stderr}`.split('\n').map(line => line.trim()).find(Boolean);
+        reject(new InputFormatError(`reStructuredText could not be converted: ${detail || `pandoc exited with code ${error.code}`}`));
+      }
+    });
+
+    // A missing binary fails the write as well as the callback
+    child.stdin.on('error', () => {});
+    child.stdin.end(content);
+  });
+}
+
+/**
+ * Convert AsciiDoc to HTML. Secure mode turns includes into plain links.
+ */
+function asciidocToHtml(content) {
+  try {
+    return asciidoctor.convert(content, {
+      safe: 'secure',
+      attributes: { showtitle: true }
+    });
+  } catch (error) {
+    throw new InputFormatError(`AsciiDoc could not be converted: ${error.message}`);
+  }
+}
+
+/**
+ * Supported input formats and how each reaches Drive. Formats with `convert`
+ * are turned into HTML first, the others are imported as they are.
+ */
+const INPUT_FORMATS = {
+  markdown: { mimeType: 'text/markdown' },
+  html: { mimeType: 'text/html' },
+  text: { mimeType: 'text/plain' },
+  rst: { mimeType: 'text/html', convert: rstToHtml },
+  asciidoc: { mimeType: 'text/html', convert: asciidocToHtml }
+};
+
+/**
+ * Prepare content in any supported format for Drive's importer.
+ * Resolves to the media body and the mime type to upload it as.
+ */
+async function prepareInput(content, format, requestId = 'unknown') {
+  const { mimeType, convert } = INPUT_FORMATS[format];
+
+  if (!convert) {
+    return { body: content, mimeType };
+  }
+
+  console.log(`🔁 [${requestId}] Converting ${format} input to HTML...`);
+  const html = await convert(content);
+
+  return {
+    body: `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8"></head>\n<body>\n${html}\n</body>\n</html>\n`,
+    mimeType
+  };
+}
+
+module.exports = {
+  INPUT_FORMATS,
+  InputFormatError,
+  prepareInput
+};
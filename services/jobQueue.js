@@ -0,0 +1,342 @@
+const crypto = require('crypto');
+const { logError } = require('../middleware/errorHandler');
+const apiKeyManager = require('./apiKeyManager');
+const { convertMarkdownToDoc } = require('./documentConverter');
+const { FileJobStore } = require('./jobStore');
+
+const POLL_INTERVAL_MS = 5 * 1000;
+const JOB_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+// A running job is renewed while its worker is alive; once the lease lapses another worker takes it over
+const JOB_LEASE_MS = 60 * 1000;
+
+// Google API and network errors worth retrying - everything else fails immediately
+const RETRYABLE_STATUS_CODES = [408, 429, 500, 502, 503, 504];
+const RETRYABLE_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE'];
+
+/**
+ * Check whether a job can be claimed: queued and due, or running on a worker that has
+ * stopped renewing its lease. Jobs from before leases have none and are taken over.
+ */
+function isClaimable(job, now) {
+  if (job.status === 'queued') {
+    return !job.runAfter || job.runAfter.getTime() <= now;
+  }
+
+  return job.status === 'running' && (!job.leaseExpiresAt || job.leaseExpiresAt.getTime() <= now);
+}
+
+/**
+ * Job Queue - runs markdown conversions in the background with retries.
+ * Every worker shares the store; a job is claimed atomically before it runs, so only
+ * one worker runs it, and its outcome is only saved while the claim is still held.
+ */
+class JobQueue {
+  constructor(store, options = {}) {
+    this.store = store;
+    this.concurrency = options.concurrency || 2;
+    this.maxAttempts = options.maxAttempts || 3;
+    this.retryDelayMs = options.retryDelayMs || 5000;
+    this.activeJobs = new Set();
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      await this.store.load();
+
+      // Jobs that were running when a worker stopped are taken over once their lease lapses
+      for (const job of await this.store.list()) {
+        let keyId = job.keyId;
+
+        // Jobs queued before keys were hashed hold the raw API key, which shouldn't stay on disk
+        if (job.apiKey) {
+          keyId = await apiKeyManager.resolveKeyId(job.apiKey);
+        }
+
+        // Jobs queued with a short legacy key before it got its own key id hold the key itself
+        if (keyId && !(await apiKeyManager.getKeyData(keyId))) {
+          keyId = await apiKeyManager.findLegacyKeyId(`md2doc_${keyId}`) || keyId;
+        }
+
+        if (job.apiKey || keyId !== job.keyId) {
+          await this.store.patch(job.id, () => ({ keyId, apiKey: undefined, updatedAt: new Date() }));
+        }
+      }
+
+      this.pollTimer = setInterval(() => this.processNext(), POLL_INTERVAL_MS);
+      this.pollTimer.unref();
+
+      console.log('✅ Conversion job queue initialised successfully');
+      this.processNext();
+    } catch (error) {
+      logError('Failed to initialise conversion job queue', error);
+    }
+  }
+
+  /**
+   * Queue a new conversion job
+   */
+  async enqueue({ userId, keyId, input }) {
+    await this.ready;
+
+    const now = new Date();
+    const job = {
+      id: `job_${crypto.randomBytes(8).toString('hex')}`,
+      userId,
+      keyId,
+      input,
+      contentLength: input.content.length,
+      status: 'queued',
+      attempts: 0,
+      maxAttempts: this.maxAttempts,
+      document: null,
+      error: null,
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+      runAfter: null
+    };
+
+    await this.store.save(job);
+    console.log(`📥 Queued conversion job: ${job.id} for user: ${userId}`);
+
+    this.processNext();
+
+    return job;
+  }
+
+  /**
+   * Get a job, optionally restricted to the user that created it
+   */
+  async getJob(jobId, userId) {
+    await this.ready;
+
+    const job = await this.store.get(jobId);
+    if (!job || (userId && job.userId !== userId)) {
+      return null;
+    }
+
+    return job;
+  }
+
+  /**
+   * Start as many ready jobs as the concurrency limit allows
+   */
+  async processNext() {
+    if (this.activeJobs.size >= this.concurrency) return;
+
+    try {
+      const now = Date.now();
+      const readyJobs = (await this.store.list())
+        .filter(job => !this.activeJobs.has(job.id) && isClaimable(job, now))
+        .sort((a, b) => a.createdAt - b.createdAt);
+
+      for (const job of readyJobs) {
+        if (this.activeJobs.size >= this.concurrency) break;
+
+        // Reserve the slot before claiming, so concurrent calls never overfill it
+        this.activeJobs.add(job.id);
+        let claimed = null;
+        try {
+          claimed = await this.claimJob(job.id);
+        } finally {
+          if (!claimed) this.activeJobs.delete(job.id);
+        }
+
+        if (claimed) this.runJob(claimed);
+      }
+    } catch (error) {
+      logError('Failed to process conversion jobs', error);
+    }
+  }
+
+  /**
+   * Atomically take a job for this worker. A job whose worker stopped after its last
+   * attempt is failed instead. Resolves to the claimed job, or null if it can't be run.
+   */
+  async claimJob(jobId) {
+    const claimId = crypto.randomBytes(8).toString('hex');
+    const now = new Date();
+
+    const claimed = await this.store.patch(jobId, (job) => {
+      if (!isClaimable(job, now.getTime())) return null;
+
+      if (job.attempts >= job.maxAttempts) {
+        return {
+          status: 'failed',
+          error: { message: 'The worker running this job stopped' },
+          completedAt: now,
+          updatedAt: now,
+          leaseExpiresAt: null,
+          input: { ...job.input, content: undefined, images: undefined }
+        };
+      }
+
+      return {
+        status: 'running',
+        attempts: job.attempts + 1,
+        claimId,
+        leaseExpiresAt: new Date(now.getTime() + JOB_LEASE_MS),
+        startedAt: now,
+        updatedAt: now
+      };
+    });
+
+    return claimed && claimed.claimId === claimId && claimed.status === 'running' ? claimed : null;
+  }
+
+  /**
+   * Change a job only while this worker's claim on it is still held
+   */
+  updateClaimedJob(job, changes) {
+    return this.store.patch(job.id, current => (current.claimId === job.claimId ? changes : null));
+  }
+
+  /**
+   * Run a single conversion attempt and record the outcome
+   */
+  async runJob(job) {
+    const outcome = {};
+
+    // Keep the lease while the conversion runs, so other workers leave the job alone
+    const leaseTimer = setInterval(() => {
+      this.updateClaimedJob(job, { leaseExpiresAt: new Date(Date.now() + JOB_LEASE_MS) })
+        .catch(error => logError('Failed to renew conversion job lease', { jobId: job.id, error: error.message }));
+    }, JOB_LEASE_MS / 3);
+    leaseTimer.unref();
+
+    try {
+      console.log(`⚙️  [${job.id}] Running conversion job (attempt ${job.attempts}/${job.maxAttempts})`);
+
+      const userData = job.keyId && await apiKeyManager.getUserByKeyId(job.keyId);
+      if (!userData) {
+        const authError = new Error('API key is no longer valid');
+        authError.code = 401;
+        throw authError;
+      }
+
+      const authClient = apiKeyManager.getAuthenticatedClient(userData);
+      const { document, ...report } = await convertMarkdownToDoc(authClient, job.input, job.id);
+
+      Object.assign(outcome, {
+        status: 'succeeded',
+        document,
+        report,
+        error: null,
+        completedAt: new Date(),
+        // The content is no longer needed once the document exists
+        input: { ...job.input, content: undefined, images: undefined }
+      });
+
+      console.log(`✅ [${job.id}] Conversion job succeeded: ${document.id}`);
+
+    } catch (error) {
+      outcome.error = {
+        message: error.message,
+        code: error.code
+      };
+
+      if (isRetryableError(error) && job.attempts < job.maxAttempts) {
+        const delay = this.retryDelayMs * Math.pow(2, job.attempts - 1);
+        outcome.status = 'queued';
+        outcome.runAfter = new Date(Date.now() + delay);
+        console.log(`🔁 [${job.id}] Conversion job failed, retrying in ${delay}ms: ${error.message}`);
+      } else {
+        outcome.status = 'failed';
+        outcome.completedAt = new Date();
+        outcome.input = { ...job.input, content: undefined, images: undefined };
+        logError('Conversion job failed', { jobId: job.id, userId: job.userId, error: error.message, code: error.code });
+      }
+    } finally {
+      clearInterval(leaseTimer);
+
+      try {
+        const saved = await this.updateClaimedJob(job, {
+          ...outcome,
+          claimId: null,
+          leaseExpiresAt: null,
+          updatedAt: new Date()
+        });
+        if (!saved) {
+          console.log(`⚠️  [${job.id}] Lease was lost to another worker, outcome discarded`);
+        }
+      } catch (error) {
+        logError('Failed to save conversion job', { jobId: job.id, error: error.message });
+      }
+
+      this.activeJobs.delete(job.id);
+      this.processNext();
+    }
+  }
+
+  /**
+   * Shape a job for API responses, leaving out credentials and content
+   */
+  formatJob(job) {
+    return {
+      id: job.id,
+      status: job.status,
+      attempts: job.attempts,
+      maxAttempts: job.maxAttempts,
+      document: job.document,
+      ...job.report,
+      error: job.error,
+      createdAt: job.createdAt,
+      startedAt: job.startedAt,
+      completedAt: job.completedAt,
+      nextAttemptAt: job.status === 'queued' ? job.runAfter : null,
+      processing: {
+        timeMs: job.completedAt && job.startedAt ? job.completedAt - job.startedAt : null,
+        contentLength: job.contentLength
+      }
+    };
+  }
+
+  /**
+   * Remove finished jobs older than the retention period (run periodically)
+   */
+  async cleanup() {
+    await this.ready;
+
+    const cutoff = Date.now() - JOB_RETENTION_MS;
+    let cleanupCount = 0;
+
+    for (const job of await this.store.list()) {
+      const finished = job.status === 'succeeded' || job.status === 'failed';
+      if (finished && job.completedAt && job.completedAt.getTime() < cutoff) {
+        await this.store.delete(job.id);
+        cleanupCount++;
+      }
+    }
+
+    if (cleanupCount > 0) {
+      console.log(`🧹 Cleaned up ${cleanupCount} finished conversion jobs`);
+    }
+  }
+}
+
+/**
+ * Check whether a failed conversion is worth another attempt
+ */
+function isRetryableError(error) {
+  if (typeof error.code === 'number') {
+    return RETRYABLE_STATUS_CODES.includes(error.code);
+  }
+
+  return RETRYABLE_NETWORK_CODES.includes(error.code);
+}
+
+// Create singleton instance
+const jobQueue = new JobQueue(new FileJobStore(), {
+  concurrency: parseInt(process.env.JOB_CONCURRENCY) || 2,
+  maxAttempts: parseInt(process.env.JOB_MAX_ATTEMPTS) || 3,
+  retryDelayMs: parseInt(process.env.JOB_RETRY_DELAY_MS) || 5000
+});
+
+// Run cleanup every 24 hours, without keeping the process alive for it
+setInterval(() => {
+  jobQueue.cleanup().catch(error => logError('Failed to clean up conversion jobs', error));
+}, 24 * 60 * 60 * 1000).unref();
+
+module.exports = jobQueue;
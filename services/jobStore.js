@@ -0,0 +1,81 @@
+const path = require('path');
+const { LockedJsonFile } = require('./lockedJsonFile');
+
+const JOBS_FILE = path.join(__dirname, '../data/jobs.json');
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'startedAt', 'completedAt', 'runAfter', 'leaseExpiresAt'];
+
+/**
+ * Restore the dates of a job read from JSON
+ */
+function parseJob(value) {
+  const job = { ...value };
+  for (const field of DATE_FIELDS) {
+    job[field] = value[field] ? new Date(value[field]) : null;
+  }
+  return job;
+}
+
+/**
+ * File-backed job store - persists jobs to data/jobs.json, which every worker shares
+ * through a LockedJsonFile, so a job can be polled from any worker.
+ *
+ * Any object implementing load(), get(id), list(), save(job), patch(id, mutate) and
+ * delete(id) can be passed to the JobQueue in its place. Reads return copies, so
+ * changes only take effect through save and patch.
+ */
+class FileJobStore {
+  constructor(filePath = JOBS_FILE) {
+    this.file = new LockedJsonFile(filePath, {
+      parse: parsed => new Map(Object.entries(parsed).map(([id, value]) => [id, parseJob(value)])),
+      serialize: jobs => Object.fromEntries(jobs)
+    });
+  }
+
+  /**
+   * Load jobs from storage
+   */
+  async load() {
+    const jobs = await this.file.read();
+    console.log(`📂 Loaded ${jobs.size} conversion jobs from storage`);
+  }
+
+  async get(id) {
+    const job = (await this.file.read()).get(id);
+    return job ? parseJob(job) : null;
+  }
+
+  async save(job) {
+    await this.file.update(jobs => jobs.set(job.id, parseJob(job)));
+    return job;
+  }
+
+  /**
+   * Change some fields of a job. `mutate` is called with the latest stored job while the
+   * lock is held and returns the fields to change, or null to leave the job alone.
+   * Resolves to the updated job, or null if it is missing or was left alone.
+   */
+  async patch(id, mutate) {
+    return this.file.update((jobs) => {
+      const job = jobs.get(id);
+      const changes = job && mutate(parseJob(job));
+      if (!changes) return null;
+
+      const updated = parseJob({ ...job, ...changes });
+      jobs.set(id, updated);
+      return parseJob(updated);
+    });
+  }
+
+  async delete(id) {
+    return this.file.update(jobs => jobs.delete(id));
+  }
+
+  async list() {
+    return Array.from((await this.file.read()).values()).map(parseJob);
+  }
+}
+
+module.exports = {
+  FileJobStore
+};
@@ -0,0 +1,338 @@
+const path = require('path');
+
+const MARKDOWN_EXTENSIONS = ['.md', '.markdown'];
+
+// Anchor links are first pointed at this placeholder fragment, then swapped for the
+// real Google Docs heading ID once the target document has been imported
+const ANCHOR_PLACEHOLDER = 'md2doc-anchor=';
+
+const INLINE_LINK_PATTERN = /(!?)\[((?:[^\[\]]|\[[^\]]*\])*)\]\(\s*(<[^>]*>|[^\s)]+)(\s+(?:"[^"]*"|'[^']*'))?\s*\)/g;
+const REFERENCE_DEFINITION_PATTERN = /^(\s{0,3}\[[^\]]+\]:\s*)(<[^>]*>|\S+)/;
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})/;
+const OPENING_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const CLOSING_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+
+/**
+ * Normalise a document path so links and sources compare equal
+ */
+function normalisePath(filePath) {
+  return path.posix.normalize(filePath.replace(/\\/g, '/')).replace(/^(\.\/)+/, '').replace(/^\//, '');
+}
+
+/**
+ * GitHub-style heading slug, used to match `#anchor` fragments to headings
+ */
+function slugify(text) {
+  return text
+    .trim()
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s_-]/gu, '')
+    .replace(/\s/g, '-');
+}
+
+/**
+ * Blank out inline code spans so patterns matched against the line skip them.
+ * The result has the same length as the line, so match positions carry over.
+ */
+function maskCodeSpans(line) {
+  return line.replace(/`+[^`]*`+/g, match => ' '.repeat(match.length));
+}
+
+/**
+ * Call `fn(line, lineNumber, masked)` for every markdown line outside fenced code blocks.
+ * `masked` is the line with inline code spans blanked out, so matches inside them can be skipped.
+ */
+function mapProseLines(content, fn) {
+  let fence = null;
+
+  return content.split('\n').map((line, index) => {
+    const fenceMatch = line.match(FENCE_PATTERN);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      return line;
+    }
+
+    if (fenceMatch) {
+      fence = fenceMatch[1];
+      return line;
+    }
+
+    return fn(line, index + 1, maskCodeSpans(line));
+  }).join('\n');
+}
+
+/**
+ * Call `fn(lines, startLine)` for every run of consecutive lines outside fenced code blocks and
+ * replace the run with the lines it returns. Used by transforms that look at more than one line.
+ */
+function mapProseBlocks(content, fn) {
+  const output = [];
+  let run = [];
+  let runStart = 1;
+  let fence = null;
+
+  const flush = () => {
+    if (run.length > 0) output.push(...fn(run, runStart));
+    run = [];
+  };
+
+  for (const [index, line] of content.split('\n').entries()) {
+    const fenceMatch = line.match(FENCE_PATTERN);
+
+    if (fence) {
+      if (fenceMatch && fenceMatch[1][0] === fence[0] && fenceMatch[1].length >= fence.length) {
+        fence = null;
+      }
+      output.push(line);
+      continue;
+    }
+
+    if (fenceMatch) {
+      flush();
+      fence = fenceMatch[1];
+      output.push(line);
+      continue;
+    }
+
+    if (run.length === 0) runStart = index + 1;
+    run.push(line);
+  }
+
+  flush();
+  return output.join('\n');
+}
+
+/**
+ * Call `fn({ fence, language, code, line })` for every fenced code block that isn't nested in
+ * a list or blockquote. Returning a string replaces the whole block, null keeps it.
+ * An unclosed fence runs to the end of the document.
+ */
+function mapFencedBlocks(content, fn) {
+  const lines = content.split('\n');
+  const output = [];
+
+  for (let index = 0; index < lines.length; index++) {
+    const opening = lines[index].match(OPENING_FENCE_PATTERN);
+    if (!opening) {
+      output.push(lines[index]);
+      continue;
+    }
+
+    const [, fence, language] = opening;
+    const indent = lines[index].match(/^ */)[0].length;
+    const body = [];
+    let end = index + 1;
+
+    while (end < lines.length) {
+      const closing = lines[end].match(CLOSING_FENCE_PATTERN);
+      if (closing && closing[1][0] === fence[0] && closing[1].length >= fence.length) break;
+      body.push(lines[end].replace(new RegExp(`^ {0,${indent}}`), ''));
+      end++;
+    }
+
+    const replacement = fn({ fence, language: language.toLowerCase(), code: body.join('\n'), line: index + 1 });
+    output.push(...(replacement === null ? lines.slice(index, end + 1) : [replacement]));
+    index = end;
+  }
+
+  return output.join('\n');
+}
+
+/**
+ * Split a link target into its path and fragment, or return null for absolute URLs
+ */
+function parseRelativeTarget(rawTarget) {
+  let target = rawTarget.startsWith('<') ? rawTarget.slice(1, -1) : rawTarget;
+
+  // Absolute URLs, protocol-relative URLs and mail links are left alone
+  if (/^[a-z][a-z0-9+.-]*:/i.test(target) || target.startsWith('//') || target.startsWith('#')) {
+    return null;
+  }
+
+  const hashIndex = target.indexOf('#');
+  const fragment = hashIndex >= 0 ? target.slice(hashIndex + 1) : '';
+  target = hashIndex >= 0 ? target.slice(0, hashIndex) : target;
+  target = target.split('?')[0];
+
+  try {
+    target = decodeURIComponent(target);
+  } catch (error) {
+    // Keep the raw target if it is not valid percent-encoding
+  }
+
+  return { targetPath: target, fragment };
+}
+
+/**
+ * Replace the targets of inline links and images on a line. `fn(rawTarget, isImage)` returns
+ * the new target, or null to leave the link untouched. Matching runs against the masked line
+ * so code spans are skipped, but replacements are spliced into the original.
+ */
+function replaceInlineTargets(line, masked, fn) {
+  let result = '';
+  let lastIndex = 0;
+
+  for (const match of masked.matchAll(INLINE_LINK_PATTERN)) {
+    const [whole, bang, maskedText, rawTarget, title = ''] = match;
+    const url = fn(rawTarget, bang === '!');
+    if (!url) continue;
+
+    const textStart = match.index + bang.length + 1;
+    const text = line.slice(textStart, textStart + maskedText.length);
+    result += line.slice(lastIndex, match.index) + `${bang}[${text}](${url}${title})`;
+    lastIndex = match.index + whole.length;
+  }
+
+  return result + line.slice(lastIndex);
+}
+
+/**
+ * Rewrite relative links to other markdown files so they point at the Google Docs
+ * created for them. `documents` maps normalised source paths to { id, webViewLink }.
+ * `links` lists the rewritten links with the path each one points at.
+ */
+function rewriteMarkdownLinks(content, sourcePath, documents) {
+  const warnings = [];
+  const links = [];
+  let anchorLinks = 0;
+  const sourceDir = path.posix.dirname(normalisePath(sourcePath));
+
+  const resolve = (rawTarget, lineNumber, isImage) => {
+    const parsed = parseRelativeTarget(rawTarget);
+    if (!parsed || isImage) return null;
+
+    const { targetPath, fragment } = parsed;
+    const resolvedPath = targetPath.startsWith('/')
+      ? normalisePath(targetPath)
+      : normalisePath(path.posix.join(sourceDir, targetPath));
+
+    if (!MARKDOWN_EXTENSIONS.includes(path.posix.extname(resolvedPath).toLowerCase())) {
+      warnings.push({
+        line: lineNumber,
+        link: rawTarget,
+        message: 'Relative link to a non-markdown file cannot be resolved in Google Docs'
+      });
+      return null;
+    }
+
+    const document = documents.get(resolvedPath);
+    if (!document) {
+      warnings.push({
+        line: lineNumber,
+        link: rawTarget,
+        message: `Linked document "${resolvedPath}" is not part of this conversion`
+      });
+      return null;
+    }
+
+    links.push({ line: lineNumber, link: rawTarget, path: resolvedPath });
+
+    if (fragment) {
+      anchorLinks++;
+      return `${document.webViewLink}#${ANCHOR_PLACEHOLDER}${encodeURIComponent(fragment)}`;
+    }
+
+    return document.webViewLink;
+  };
+
+  const rewritten = mapProseLines(content, (line, lineNumber, masked) => {
+    const definition = masked.match(REFERENCE_DEFINITION_PATTERN);
+    if (definition) {
+      const url = resolve(definition[2], lineNumber, false);
+      return url
+        ? line.slice(0, definition[1].length) + url + line.slice(definition[0].length)
+        : line;
+    }
+
+    return replaceInlineTargets(line, masked, (rawTarget, isImage) => resolve(rawTarget, lineNumber, isImage));
+  });
+
+  return { content: rewritten, warnings, anchorLinks, links };
+}
+
+/**
+ * Walk every paragraph in a Google Docs body, including those inside tables
+ */
+function walkParagraphs(content = [], fn) {
+  for (const element of content) {
+    if (element.paragraph) {
+      fn(element.paragraph);
+    } else if (element.table) {
+      for (const row of element.table.tableRows || []) {
+        for (const cell of row.tableCells || []) {
+          walkParagraphs(cell.content, fn);
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Map GitHub-style heading slugs to Google Docs heading IDs
+ */
+function getHeadingIds(document) {
+  const headings = new Map();
+  const seen = new Map();
+
+  walkParagraphs(document.body?.content, (paragraph) => {
+    const headingId = paragraph.paragraphStyle?.headingId;
+    if (!headingId) return;
+
+    const text = (paragraph.elements || [])
+      .map(element => element.textRun?.content || '')
+      .join('');
+
+    // Repeated headings get -1, -2 ... suffixes, matching GitHub's anchors
+    const base = slugify(text);
+    const count = seen.get(base) || 0;
+    seen.set(base, count + 1);
+
+    headings.set(count === 0 ? base : `${base}-${count}`, headingId);
+  });
+
+  return headings;
+}
+
+/**
+ * Find links in a Google Doc that still point at an anchor placeholder
+ */
+function findAnchorLinks(document) {
+  const links = [];
+
+  walkParagraphs(document.body?.content, (paragraph) => {
+    for (const element of paragraph.elements || []) {
+      const url = element.textRun?.textStyle?.link?.url;
+      if (!url || !url.includes(ANCHOR_PLACEHOLDER)) continue;
+
+      const documentId = url.match(/\/document\/d\/([^/?#]+)/)?.[1];
+      const fragment = decodeURIComponent(url.slice(url.indexOf(ANCHOR_PLACEHOLDER) + ANCHOR_PLACEHOLDER.length));
+
+      links.push({
+        startIndex: element.startIndex,
+        endIndex: element.endIndex,
+        documentId,
+        fragment
+      });
+    }
+  });
+
+  return links;
+}
+
+module.exports = {
+  rewriteMarkdownLinks,
+  mapProseLines,
+  mapProseBlocks,
+  maskCodeSpans,
+  mapFencedBlocks,
+  replaceInlineTargets,
+  parseRelativeTarget,
+  normalisePath,
+  slugify,
+  walkParagraphs,
+  getHeadingIds,
+  findAnchorLinks
+};
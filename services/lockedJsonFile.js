@@ -0,0 +1,136 @@
+const fs = require('fs').promises;
+const path = require('path');
+
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_STALE_MS = 30 * 1000;
+const LOCK_RETRY_MS = 25;
+
+/**
+ * A JSON file that several processes can share (PM2 cluster mode): writes take a lock
+ * file, re-read the latest contents and replace the file atomically, and reads reload
+ * the file whenever another process has changed it.
+ *
+ * `parse` turns the stored object into the value callers work with and `serialize`
+ * turns it back; a missing file reads as an empty object.
+ */
+class LockedJsonFile {
+  constructor(filePath, { parse = value => value, serialize = value => value } = {}) {
+    this.filePath = filePath;
+    this.lockPath = `${filePath}.lock`;
+    this.takeoverPath = `${filePath}.lock.takeover`;
+    this.parse = parse;
+    this.serialize = serialize;
+    this.value = parse({});
+    this.version = null;
+  }
+
+  /**
+   * Get the current contents, reading the file only if it changed since it was last read or written
+   */
+  async read() {
+    let stats;
+    try {
+      stats = await fs.stat(this.filePath);
+    } catch (error) {
+      if (error.code !== 'ENOENT') throw error;
+      // File doesn't exist yet, start empty
+      this.value = this.parse({});
+      this.version = null;
+      return this.value;
+    }
+
+    const version = `${stats.mtimeMs}:${stats.size}`;
+    if (version !== this.version) {
+      this.value = this.parse(JSON.parse(await fs.readFile(this.filePath, 'utf8')));
+      this.version = version;
+    }
+
+    return this.value;
+  }
+
+  /**
+   * Write the contents to a temporary file and rename it over the original
+   */
+  async write() {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+    const tempFile = `${this.filePath}.${process.pid}.tmp`;
+    await fs.writeFile(tempFile, JSON.stringify(this.serialize(this.value), null, 2), { mode: 0o600 });
+    await fs.rename(tempFile, this.filePath);
+
+    const stats = await fs.stat(this.filePath);
+    this.version = `${stats.mtimeMs}:${stats.size}`;
+  }
+
+  /**
+   * Remove the lock if it is stale, resolving to whether it was removed. Several workers can
+   * find the same stale lock, so the removal takes a second lock file and checks the lock
+   * again under it: otherwise one worker could remove the fresh lock another has just taken.
+   */
+  async removeStaleLock() {
+    const isStale = stats => !!stats && Date.now() - stats.mtimeMs > LOCK_STALE_MS;
+    if (!isStale(await fs.stat(this.lockPath).catch(() => null))) return false;
+
+    try {
+      await (await fs.open(this.takeoverPath, 'wx')).close();
+    } catch (error) {
+      if (error.code !== 'EEXIST') throw error;
+
+      // Another worker is taking over, unless it crashed doing so
+      if (isStale(await fs.stat(this.takeoverPath).catch(() => null))) {
+        await fs.unlink(this.takeoverPath).catch(() => {});
+      }
+      return false;
+    }
+
+    try {
+      if (!isStale(await fs.stat(this.lockPath).catch(() => null))) return false;
+      await fs.unlink(this.lockPath).catch(() => {});
+      return true;
+    } finally {
+      await fs.unlink(this.takeoverPath).catch(() => {});
+    }
+  }
+
+  /**
+   * Run a read-modify-write cycle while holding the cross-process lock file.
+   * `mutate` gets the latest contents and changes them in place; its result is returned.
+   */
+  async update(mutate) {
+    await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        await (await fs.open(this.lockPath, 'wx')).close();
+        break;
+      } catch (error) {
+        if (error.code !== 'EEXIST') throw error;
+
+        // A lock left behind by a crashed process is taken over once it is stale
+        if (await this.removeStaleLock()) continue;
+
+        if (Date.now() > deadline) {
+          throw new Error(`Timed out waiting for the storage lock at ${this.lockPath}`);
+        }
+        await new Promise(resolve => setTimeout(resolve, LOCK_RETRY_MS));
+      }
+    }
+
+    try {
+      this.version = null; // Always start from what is on disk
+      const result = mutate(await this.read());
+      await this.write();
+      return result;
+    } catch (error) {
+      this.version = null; // Drop the unsaved change on the next read
+      throw error;
+    } finally {
+      await fs.unlink(this.lockPath).catch(() => {});
+    }
+  }
+}
+
+module.exports = {
+  LockedJsonFile
+};
@@ -0,0 +1,198 @@
+const net = require('net');
+const { maskCodeSpans } = require('./linkRewriter');
+const { FRONT_MATTER_PATTERN } = require('./frontMatter');
+
+const OPENING_FENCE_PATTERN = /^( {0,3})(`{3,}|~{3,})/;
+const CLOSING_FENCE_PATTERN = /^ {0,3}(`{3,}|~{3,})[ \t]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})(?:[ \t]|$)/;
+const DELIMITER_ROW_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+// Opening tags and comments only, so a <div>...</div> pair is reported once
+const HTML_PATTERN = /<!--|<([a-zA-Z][a-zA-Z0-9-]*)(?:\s[^<>]*)?\/?>/g;
+const IMAGE_PATTERN = /!\[[^\]]*\]\(\s*<?([^\s)>]+)/g;
+
+// Host names that only resolve inside a private network
+const PRIVATE_HOST_PATTERN = /(^localhost$|\.localhost$|\.local$|\.internal$|\.lan$|\.corp$|\.home\.arpa$)/i;
+const PRIVATE_IPV4_PATTERN = /^(10\.|127\.|169\.254\.|192\.168\.|172\.(1[6-9]|2\d|3[01])\.|0\.)/;
+const PRIVATE_IPV6_PATTERN = /^(::1$|f[cd]|fe80)/i;
+
+/**
+ * Raised in strict mode when markdown has lint errors
+ */
+class LintError extends Error {
+  constructor(report) {
+    super(`Markdown has ${report.errors} lint error(s)`);
+    this.name = 'LintError';
+    this.status = 422;
+    this.report = report;
+  }
+}
+
+/**
+ * Count the cells in a table row, ignoring the optional outer pipes and escaped pipes
+ */
+function countCells(line) {
+  const masked = maskCodeSpans(line).trim().replace(/\\\|/g, '  ');
+  return masked.replace(/^\|/, '').replace(/\|$/, '').split('|').length;
+}
+
+/**
+ * Explain why Google can't fetch an image URL, or return null if it looks public
+ */
+function checkImageUrl(target) {
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(target) && !target.startsWith('//')) {
+    return null; // Relative paths are checked when images are embedded
+  }
+
+  let url;
+  try {
+    url = new URL(target.startsWith('//') ? `https:${target}` : target);
+  } catch (error) {
+    return 'Image URL is not valid';
+  }
+
+  if (url.protocol === 'data:') return null;
+
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    return `Image URL uses the ${url.protocol} scheme, which Google can't fetch`;
+  }
+
+  if (url.username || url.password) {
+    return 'Image URL contains credentials, which Google won\'t send';
+  }
+
+  const host = url.hostname.replace(/^\[|\]$/g, '');
+
+  // Single-label names like http://wiki/ only resolve on an intranet
+  const isPrivate = net.isIPv4(host) ? PRIVATE_IPV4_PATTERN.test(host)
+    : net.isIPv6(host) ? PRIVATE_IPV6_PATTERN.test(host)
+      : PRIVATE_HOST_PATTERN.test(host) || !host.includes('.');
+
+  if (isPrivate) {
+    return `Image host ${host} is on a private network, so Google can't fetch it`;
+  }
+
+  return null;
+}
+
+/**
+ * Check markdown for constructs Google's importer breaks on or drops.
+ * Returns { errors, warnings, diagnostics } where each diagnostic is
+ * { rule, severity, line, column, message } with 1-based positions in the original content.
+ */
+function lintMarkdown(content) {
+  const diagnostics = [];
+  const report = (rule, severity, line, column, message) => diagnostics.push({ rule, severity, line, column, message });
+
+  // Front-matter isn't markdown, but blanking it keeps line numbers matching the source
+  const frontMatter = content.match(FRONT_MATTER_PATTERN);
+  const source = frontMatter
+    ? frontMatter[0].replace(/[^\n]/g, '') + content.slice(frontMatter[0].length)
+    : content;
+  const lines = source.split('\n');
+
+  let fence = null;
+  let headingLevel = 0;
+  let table = null;
+
+  lines.forEach((line, index) => {
+    const lineNumber = index + 1;
+
+    if (fence) {
+      const closing = line.match(CLOSING_FENCE_PATTERN);
+      if (closing && closing[1][0] === fence.marker[0] && closing[1].length >= fence.marker.length) {
+        fence = null;
+      }
+      return;
+    }
+
+    const opening = line.match(OPENING_FENCE_PATTERN);
+    if (opening) {
+      fence = { marker: opening[2], line: lineNumber, column: opening[1].length + 1 };
+      table = null;
+      return;
+    }
+
+    const masked = maskCodeSpans(line);
+
+    // Tables: the delimiter row must match the header, and rows should have as many cells
+    if (table && line.trim() && line.includes('|')) {
+      const cells = countCells(line);
+      if (cells !== table.columns) {
+        report('table-row-cells', 'warning', lineNumber, 1,
+          `Row has ${cells} cell(s) but the table has ${table.columns} column(s); ${cells > table.columns ? 'extra cells are dropped' : 'missing cells are left empty'}`);
+      }
+    } else {
+      table = null;
+      const next = lines[index + 1];
+
+      if (line.includes('|') && next !== undefined && DELIMITER_ROW_PATTERN.test(next) && next.includes('-')) {
+        const columns = countCells(line);
+        const delimiters = countCells(next);
+
+        if (columns === delimiters) {
+          table = { columns, delimiterLine: lineNumber + 1 };
+        } else {
+          report('table-delimiter', 'error', lineNumber + 1, 1,
+            `Table header has ${columns} cell(s) but the delimiter row has ${delimiters}; the table will be imported as plain text`);
+        }
+      }
+    }
+
+    if (table && table.delimiterLine === lineNumber) return;
+
+    const heading = masked.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+      if (headingLevel && level > headingLevel + 1) {
+        report('heading-increment', 'warning', lineNumber, masked.indexOf('#') + 1,
+          `Heading level jumps from H${headingLevel} to H${level}`);
+      }
+      headingLevel = level;
+    }
+
+    for (const match of masked.matchAll(HTML_PATTERN)) {
+      const tag = match[0] === '<!--' ? 'HTML comment' : `Raw HTML <${match[1]}>`;
+      report('raw-html', 'warning', lineNumber, match.index + 1, `${tag} is dropped by Google's importer`);
+    }
+
+    for (const match of masked.matchAll(IMAGE_PATTERN)) {
+      const problem = checkImageUrl(match[1]);
+      if (problem) {
+        report('image-url', 'warning', lineNumber, match.index + 1, problem);
+      }
+    }
+  });
+
+  if (fence) {
+    report('unclosed-fence', 'error', fence.line, fence.column,
+      `Code fence ${fence.marker} is never closed; everything after it is imported as code`);
+  }
+
+  diagnostics.sort((a, b) => a.line - b.line || a.column - b.column);
+
+  return {
+    errors: diagnostics.filter(item => item.severity === 'error').length,
+    warnings: diagnostics.filter(item => item.severity === 'warning').length,
+    diagnostics
+  };
+}
+
+/**
+ * Lint content for a conversion's `lint` option (true or { strict }).
+ * Returns the lint report, or throws a LintError in strict mode when there are errors.
+ */
+function checkMarkdown(content, options) {
+  const report = lintMarkdown(content);
+
+  if (typeof options === 'object' && options.strict && report.errors > 0) {
+    throw new LintError(report);
+  }
+
+  return report;
+}
+
+module.exports = {
+  LintError,
+  lintMarkdown,
+  checkMarkdown
+};
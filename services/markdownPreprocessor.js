@@ -0,0 +1,116 @@
+const diagrams = require('./extensions/diagrams');
+const math = require('./extensions/math');
+const admonitions = require('./extensions/admonitions');
+const taskLists = require('./extensions/taskLists');
+const definitionLists = require('./extensions/definitionLists');
+const footnotes = require('./extensions/footnotes');
+const toc = require('./extensions/toc');
+
+// name -> { name, description, transform(content, context), detect?(content) }
+const extensions = new Map();
+
+/**
+ * Register a markdown transform. `transform` may be async and resolves to
+ * { content, count, warnings? } where count is how many constructs it rewrote.
+ * Extensions run in registration order, whatever order a request lists them in.
+ * Extensions whose transform is expensive can add a `detect(content)` that returns the count.
+ */
+function registerExtension(extension) {
+  if (!extension.name || typeof extension.transform !== 'function') {
+    throw new Error('Extensions need a name and a transform function');
+  }
+
+  extensions.set(extension.name, extension);
+}
+
+/**
+ * List the registered extensions for API consumers
+ */
+function listExtensions() {
+  return Array.from(extensions.values()).map(({ name, description }) => ({ name, description }));
+}
+
+/**
+ * Return the names that don't match a registered extension
+ */
+function findUnknownExtensions(names) {
+  return names.filter(name => !extensions.has(name));
+}
+
+/**
+ * Rewrite markdown dialect features Google's importer ignores into constructs it understands.
+ * Returns the transformed content and a report of the extensions that changed something,
+ * or a null report when no extensions were requested.
+ */
+async function preprocessMarkdown(content, requested, requestId = 'unknown') {
+  if (!Array.isArray(requested) || requested.length === 0) {
+    return { content, report: null };
+  }
+
+  const enabled = new Set(requested);
+  const applied = [];
+  const warnings = findUnknownExtensions(Array.from(enabled)).map(name => ({
+    extension: name,
+    message: 'Unknown extension, skipped'
+  }));
+
+  let result = content;
+
+  for (const extension of extensions.values()) {
+    if (!enabled.has(extension.name)) continue;
+
+    const output = await extension.transform(result, { requestId });
+    result = output.content;
+
+    if (output.count > 0) {
+      applied.push({ name: extension.name, count: output.count });
+    }
+
+    for (const warning of output.warnings || []) {
+      warnings.push({ extension: extension.name, ...warning });
+    }
+  }
+
+  console.log(`🧩 [${requestId}] Applied ${applied.length} of ${enabled.size} requested extension(s)`);
+
+  return {
+    content: result,
+    report: {
+      requested: Array.from(enabled),
+      applied,
+      warnings
+    }
+  };
+}
+
+/**
+ * Find extensions that weren't requested but would have rewritten something, i.e. syntax
+ * Google's importer will ignore. Returns [{ name, count }] in registration order.
+ */
+async function detectExtensions(content, requested = []) {
+  const found = [];
+
+  for (const extension of extensions.values()) {
+    if (requested.includes(extension.name)) continue;
+
+    const count = extension.detect
+      ? extension.detect(content)
+      : (await extension.transform(content, { requestId: 'detect' })).count;
+
+    if (count > 0) {
+      found.push({ name: extension.name, count });
+    }
+  }
+
+  return found;
+}
+
+[diagrams, math, admonitions, taskLists, definitionLists, footnotes, toc].forEach(registerExtension);
+
+module.exports = {
+  preprocessMarkdown,
+  detectExtensions,
+  registerExtension,
+  listExtensions,
+  findUnknownExtensions
+};
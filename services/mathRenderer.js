@@ -0,0 +1,74 @@
+const { mathjax } = require('mathjax-full/js/mathjax.js');
+const { TeX } = require('mathjax-full/js/input/tex.js');
+const { SVG } = require('mathjax-full/js/output/svg.js');
+const { liteAdaptor } = require('mathjax-full/js/adaptors/liteAdaptor.js');
+const { RegisterHTMLHandler } = require('mathjax-full/js/handlers/html.js');
+const { AllPackages } = require('mathjax-full/js/input/tex/AllPackages.js');
+const { Resvg } = require('@resvg/resvg-js');
+
+// Pixels per ex at 100% zoom, roughly matching 11pt body text
+const EX_PX = 8;
+const MATH_SCALE = parseFloat(process.env.MATH_SCALE) || 1;
+// resvg allocates the whole bitmap up front and aborts the process when that fails
+const MATH_MAX_PIXELS = parseInt(process.env.MATH_MAX_PIXELS) || 4 * 1000 * 1000;
+
+const adaptor = liteAdaptor();
+RegisterHTMLHandler(adaptor);
+
+// Without these packages, unknown macros and syntax errors render as red text instead of failing
+const packages = AllPackages.filter(name => !['noundefined', 'noerrors'].includes(name));
+
+const document = mathjax.document('', {
+  InputJax: new TeX({
+    packages,
+    formatError: (jax, error) => {
+      throw error;
+    }
+  }),
+  OutputJax: new SVG({ fontCache: 'none' })
+});
+
+/**
+ * Custom error class for expressions that render too large
+ */
+class MathSizeError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'MathSizeError';
+  }
+}
+
+/**
+ * Render a TeX expression to a PNG buffer. Throws with MathJax's message for invalid TeX,
+ * and a MathSizeError when the image would be larger than MATH_MAX_PIXELS.
+ * Google Docs can't display SVG, so MathJax's SVG output is rasterised.
+ */
+function renderMath(tex, { display = false } = {}) {
+  const node = document.convert(tex, { display, em: EX_PX * 2, ex: EX_PX, containerWidth: 80 * EX_PX * 2 });
+
+  // MathJax sizes the SVG in ex units, which resvg doesn't understand
+  const svg = adaptor.innerHTML(node)
+    .replace(/(width|height)="([\d.]+)ex"/g, (match, dimension, value) => `${dimension}="${(parseFloat(value) * EX_PX).toFixed(2)}"`);
+
+  // Check the size before rasterising, and render at exactly that size
+  const size = svg.match(/^<svg\b[^>]*?\swidth="([\d.]+)"[^>]*?\sheight="([\d.]+)"/);
+  const width = size && Math.ceil(parseFloat(size[1]) * MATH_SCALE);
+  const height = size && Math.ceil(parseFloat(size[2]) * MATH_SCALE);
+
+  if (!size) {
+    throw new MathSizeError('Expression size could not be determined');
+  }
+  if (width * height > MATH_MAX_PIXELS) {
+    throw new MathSizeError(`Expression is too large to render (${width}x${height} pixels)`);
+  }
+
+  return new Resvg(svg, {
+    background: 'white',
+    fitTo: { mode: 'width', value: Math.max(width, 1) }
+  }).render().asPng();
+}
+
+module.exports = {
+  renderMath,
+  MathSizeError
+};
@@ -0,0 +1,205 @@
+const MarkdownIt = require('markdown-it');
+const hljs = require('highlight.js');
+const { applyFrontMatter } = require('./frontMatter');
+const { preprocessMarkdown, detectExtensions } = require('./markdownPreprocessor');
+const { embedImages } = require('./imageEmbedder');
+const { mapProseLines, mapFencedBlocks, replaceInlineTargets, parseRelativeTarget, slugify } = require('./linkRewriter');
+const { prepareInput } = require('./inputConverter');
+const { checkMarkdown } = require('./markdownLinter');
+const { getDiagramType } = require('./diagramRenderer');
+const math = require('./extensions/math');
+
+const HEADING_PATTERN = /^ {0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+
+// Extensions that start a renderer or rasterise images, which previews only run with `renderImages`
+const RENDERING_EXTENSIONS = ['diagrams', 'math'];
+
+// Raw HTML is left escaped, as Google's importer doesn't render it either
+const renderer = new MarkdownIt({ linkify: true });
+const highlightingRenderer = new MarkdownIt({
+  linkify: true,
+  highlight: (code, language) => (language && hljs.getLanguage(language)
+    ? hljs.highlight(code, { language, ignoreIllegals: true }).value
+    : '')
+});
+
+/**
+ * Escape text for use in HTML
+ */
+function escapeHtml(text) {
+  return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Find links that won't work in the Doc: anchors without a matching heading, and
+ * relative links to files that only exist next to the markdown
+ */
+function findBrokenLinks(content) {
+  const headings = new Set();
+  const links = [];
+
+  mapProseLines(content, (line, lineNumber, masked) => {
+    const heading = masked.match(HEADING_PATTERN) && line.match(HEADING_PATTERN);
+    if (heading) headings.add(slugify(heading[1]));
+
+    replaceInlineTargets(line, masked, (rawTarget, isImage) => {
+      if (!isImage) links.push({ line: lineNumber, target: rawTarget.replace(/^<|>$/g, '') });
+      return null;
+    });
+    return line;
+  });
+
+  const warnings = [];
+
+  for (const { line, target } of links) {
+    if (target.startsWith('#')) {
+      let fragment = target.slice(1);
+      try {
+        fragment = decodeURIComponent(fragment);
+      } catch (error) {
+        // Keep the raw fragment if it is not valid percent-encoding
+      }
+
+      if (!headings.has(slugify(fragment))) {
+        warnings.push({ type: 'link', line, link: target, message: 'No heading matches this anchor' });
+      }
+    } else if (parseRelativeTarget(target)) {
+      warnings.push({
+        type: 'link',
+        line,
+        link: target,
+        message: 'Relative links only resolve when the linked files are converted together in a batch with paths'
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Flatten the per-stage reports of a conversion into one list of typed warnings
+ */
+function collectWarnings({ frontMatter, extensions, images, unsupported, codeLanguages }) {
+  const warnings = [];
+
+  if (frontMatter?.error) {
+    warnings.push({ type: 'frontMatter', message: frontMatter.error });
+  }
+
+  for (const { key, reason } of frontMatter?.ignored || []) {
+    warnings.push({ type: 'frontMatter', key, message: reason });
+  }
+
+  for (const warning of extensions?.warnings || []) {
+    warnings.push({ type: 'extension', ...warning });
+  }
+
+  for (const { name, count } of unsupported) {
+    warnings.push({
+      type: 'syntax',
+      extension: name,
+      count,
+      message: `Google's importer ignores this syntax unless the "${name}" extension is enabled`
+    });
+  }
+
+  for (const { source, line, reason } of images?.rejected || []) {
+    warnings.push({ type: 'image', line, source, message: reason });
+  }
+
+  for (const { line, language } of codeLanguages) {
+    warnings.push({ type: 'code', line, language, message: 'Language is not supported, block will be left unhighlighted' });
+  }
+
+  return warnings;
+}
+
+/**
+ * Report diagrams and math left as source because the preview may not render them
+ */
+function findSkippedRendering(content, skipped) {
+  const warnings = [];
+
+  if (skipped.includes('diagrams')) {
+    mapFencedBlocks(content, ({ language, line }) => {
+      if (getDiagramType(language)) {
+        warnings.push({
+          type: 'extension',
+          extension: 'diagrams',
+          line,
+          message: 'Diagrams are only rendered in previews made with an API key, so this one is shown as code'
+        });
+      }
+      return null;
+    });
+  }
+
+  if (skipped.includes('math')) {
+    for (const { line, expression } of math.locate(content)) {
+      warnings.push({
+        type: 'extension',
+        extension: 'math',
+        line,
+        expression,
+        message: 'Math is only rendered in previews made with an API key, so this expression is shown as text'
+      });
+    }
+  }
+
+  return warnings;
+}
+
+/**
+ * Run a conversion's preprocessing without Drive and render the result as HTML.
+ * Takes the same options as convertMarkdownToDoc and resolves to { title, html, warnings, lint? }.
+ * The HTML approximates Google's import; the warnings point at what won't survive it.
+ * Diagrams and math are only rendered with `renderImages`, as rendering them is expensive.
+ * Other input formats are shown as escaped HTML, like raw HTML in markdown.
+ */
+async function renderPreview(options, requestId = 'unknown') {
+  const isMarkdown = !options.inputFormat || options.inputFormat === 'markdown';
+
+  if (!isMarkdown) {
+    const source = options.inputFormat === 'text'
+      ? options.content
+      : (await prepareInput(options.content, options.inputFormat, requestId)).body;
+
+    return { title: options.title || 'Untitled Document', html: `<pre>${escapeHtml(source)}</pre>`, warnings: [] };
+  }
+
+  const lint = options.lint ? checkMarkdown(options.content, options.lint) : null;
+  const { options: resolved, report: frontMatter } = applyFrontMatter(options);
+  const { content, extensions = [], codeHighlighting } = resolved;
+
+  const skipped = options.renderImages ? [] : extensions.filter(name => RENDERING_EXTENSIONS.includes(name));
+  const unsupported = await detectExtensions(content, extensions);
+  const preprocessed = await preprocessMarkdown(content, extensions.filter(name => !skipped.includes(name)), requestId);
+  const embedded = await embedImages(null, preprocessed.content, { images: resolved.images, sourcePath: resolved.sourcePath }, requestId);
+
+  const codeLanguages = [];
+  if (codeHighlighting) {
+    mapFencedBlocks(preprocessed.content, ({ language, line }) => {
+      if (language && !hljs.getLanguage(language)) codeLanguages.push({ line, language });
+      return null;
+    });
+  }
+
+  const warnings = [
+    ...collectWarnings({ frontMatter, extensions: preprocessed.report, images: embedded.report, unsupported, codeLanguages }),
+    ...findSkippedRendering(content, skipped),
+    ...findBrokenLinks(preprocessed.content)
+  ];
+
+  console.log(`👀 [${requestId}] Preview rendered with ${warnings.length} warning(s)`);
+
+  return {
+    title: resolved.title || resolved.defaultTitle || 'Untitled Document',
+    html: (codeHighlighting ? highlightingRenderer : renderer).render(embedded.content),
+    warnings,
+    lint: lint || undefined
+  };
+}
+
+module.exports = {
+  renderPreview
+};
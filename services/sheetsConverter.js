@@ -0,0 +1,400 @@
+const { google } = require('googleapis');
+const { mapFencedBlocks, mapProseBlocks } = require('./linkRewriter');
+const { applyFrontMatter } = require('./frontMatter');
+const { convertMarkdownToDoc, formatDocument, applySharing } = require('./documentConverter');
+
+const SPREADSHEET_FIELDS = 'id,name,webViewLink,webContentLink,createdTime';
+const SHEETS_MAX_TABLES = parseInt(process.env.SHEETS_MAX_TABLES) || 50;
+
+const HEADING_PATTERN = /^ {0,3}#{1,6}[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const DELIMITER_ROW_PATTERN = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const NUMBER_PATTERN = /^([-+]?)([$€£])?(\d{1,3}(?:,\d{3})+|\d+)(\.\d+)?(%)?$/;
+const DATE_PATTERN = /^(\d{4})-(\d{2})-(\d{2})(?:[ T](\d{2}):(\d{2})(?::(\d{2}))?)?$/;
+// Sheets counts days from 1899-12-30
+const SHEETS_EPOCH = Date.UTC(1899, 11, 30);
+
+const HEADER_FORMAT = {
+  textFormat: { bold: true },
+  backgroundColor: { red: 0.9, green: 0.9, blue: 0.9 }
+};
+
+/**
+ * Raised when markdown can't be turned into a spreadsheet
+ */
+class SheetsError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SheetsError';
+    this.status = 422;
+  }
+}
+
+/**
+ * Split a table row on unescaped pipes, dropping the optional outer pipes
+ */
+function splitRow(line) {
+  const cells = line.trim().replace(/^\|/, '').replace(/(?<!\\)\|$/, '').split(/(?<!\\)\|/);
+  return cells.map(cell => cleanCell(cell));
+}
+
+/**
+ * Reduce a cell's inline markdown to the text a spreadsheet should hold
+ */
+function cleanCell(cell) {
+  return cell.trim()
+    .replace(/\\\|/g, '|')
+    .replace(/!?\[([^\]]*)\]\([^)]*\)/g, '$1')
+    .replace(/(\*\*|__)(.+?)\1/g, '$2')
+    .replace(/(?<!\w)([*_])(?!\s)(.+?)\1(?!\w)/g, '$2')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/<br\s*\/?>/gi, '\n');
+}
+
+/**
+ * Parse CSV text (RFC 4180 quoting) into rows of cells
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        cell += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"' && cell === '') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  // Blank lines aren't records
+  return rows.filter(cells => cells.some(value => value.trim() !== '')).map(cells => cells.map(value => value.trim()));
+}
+
+/**
+ * Pad or trim every row to the header's width
+ */
+function normaliseRows(rows) {
+  const width = rows[0].length;
+  return rows.map(row => Array.from({ length: width }, (value, index) => row[index] || ''));
+}
+
+/**
+ * Find every pipe table and ```csv block in the markdown, in document order.
+ * Each table is { name, source, line, endLine, rows } where rows[0] is the header and
+ * line/endLine are the 1-based lines it spans. Tables are named after the heading above them.
+ */
+function extractTables(content) {
+  const found = [];
+  const headings = [];
+
+  mapFencedBlocks(content, ({ language, code, line }) => {
+    if (language === 'csv') {
+      const rows = parseCsv(code);
+      if (rows.length > 0) {
+        found.push({ source: 'csv', line, endLine: line + code.split('\n').length + 1, rows: normaliseRows(rows) });
+      }
+    }
+    return null;
+  });
+
+  mapProseBlocks(content, (lines, startLine) => {
+    for (let index = 0; index < lines.length; index++) {
+      const heading = lines[index].match(HEADING_PATTERN);
+      if (heading) {
+        headings.push({ line: startLine + index, text: cleanCell(heading[1]) });
+        continue;
+      }
+
+      // A table is a header row with pipes followed by a delimiter row
+      const isTable = index + 1 < lines.length &&
+        /^ {0,3}\S/.test(lines[index]) &&
+        /(?<!\\)\|/.test(lines[index]) &&
+        DELIMITER_ROW_PATTERN.test(lines[index + 1]) &&
+        splitRow(lines[index]).length === splitRow(lines[index + 1]).length;
+
+      if (!isTable) continue;
+
+      const rows = [splitRow(lines[index])];
+      let end = index + 2;
+      while (end < lines.length && lines[end].trim() && /(?<!\\)\|/.test(lines[end])) {
+        rows.push(splitRow(lines[end]));
+        end++;
+      }
+
+      found.push({ source: 'table', line: startLine + index, endLine: startLine + end - 1, rows: normaliseRows(rows) });
+      index = end - 1;
+    }
+    return lines;
+  });
+
+  found.sort((a, b) => a.line - b.line);
+
+  return found.map((table, index) => {
+    const heading = headings.filter(item => item.line < table.line).pop();
+    return { name: heading ? heading.text : `Table ${index + 1}`, ...table };
+  });
+}
+
+/**
+ * Make tab names valid and unique. Sheets rejects []:*?/\ and compares names case-insensitively.
+ */
+function uniqueTabNames(names) {
+  const used = new Set();
+
+  return names.map((raw) => {
+    const base = raw.replace(/[[\]:*?/\\]/g, ' ').replace(/\s+/g, ' ').trim().slice(0, 90) || 'Table';
+    let name = base;
+
+    for (let suffix = 2; used.has(name.toLowerCase()); suffix++) {
+      name = `${base} (${suffix})`;
+    }
+
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+/**
+ * Turn a cell's text into Sheets cell data, detecting numbers, percentages, currency and
+ * ISO dates. Anything else, including text that looks like a formula, is kept as a string.
+ */
+function toCellData(text) {
+  if (text === '') return {};
+
+  const number = text.match(NUMBER_PATTERN);
+  // Leading zeros mean an identifier such as a ZIP code, not a number
+  if (number && !/^0\d/.test(number[3])) {
+    const [, sign, currency, integer, fraction = '', percent] = number;
+    const value = parseFloat(`${sign}${integer.replace(/,/g, '')}${fraction}`);
+    const decimals = fraction ? `.${'0'.repeat(fraction.length - 1)}` : '';
+
+    if (percent) {
+      return { userEnteredValue: { numberValue: value / 100 }, userEnteredFormat: { numberFormat: { type: 'PERCENT', pattern: `0${decimals}%` } } };
+    }
+
+    if (currency) {
+      return { userEnteredValue: { numberValue: value }, userEnteredFormat: { numberFormat: { type: 'CURRENCY', pattern: `"${currency}"#,##0${decimals || '.00'}` } } };
+    }
+
+    if (integer.includes(',')) {
+      return { userEnteredValue: { numberValue: value }, userEnteredFormat: { numberFormat: { type: 'NUMBER', pattern: `#,##0${decimals}` } } };
+    }
+
+    return { userEnteredValue: { numberValue: value } };
+  }
+
+  const date = text.match(DATE_PATTERN);
+  if (date) {
+    const [, year, month, day, hours, minutes, seconds = '0'] = date;
+    const time = Date.UTC(year, month - 1, day, hours || 0, minutes || 0, seconds);
+    const parsed = new Date(time);
+
+    // Reject dates like 2024-02-30 that Date silently rolls over
+    if (parsed.getUTCMonth() === month - 1 && parsed.getUTCDate() === Number(day)) {
+      return {
+        userEnteredValue: { numberValue: (time - SHEETS_EPOCH) / 86400000 },
+        userEnteredFormat: {
+          numberFormat: hours
+            ? { type: 'DATE_TIME', pattern: 'yyyy-mm-dd hh:mm' }
+            : { type: 'DATE', pattern: 'yyyy-mm-dd' }
+        }
+      };
+    }
+  }
+
+  return { userEnteredValue: { stringValue: text } };
+}
+
+/**
+ * Build the requests that add one tab holding a table, with a bold frozen header row
+ */
+function buildTableRequests(table, sheetId, index) {
+  const [header, ...body] = table.rows;
+
+  return [
+    {
+      addSheet: {
+        properties: {
+          sheetId,
+          index,
+          title: table.name,
+          gridProperties: {
+            rowCount: Math.max(table.rows.length, 1000),
+            columnCount: Math.max(header.length, 26),
+            frozenRowCount: 1
+          }
+        }
+      }
+    },
+    {
+      updateCells: {
+        start: { sheetId, rowIndex: 0, columnIndex: 0 },
+        rows: [
+          { values: header.map(text => ({ userEnteredValue: { stringValue: text }, userEnteredFormat: HEADER_FORMAT })) },
+          ...body.map(row => ({ values: row.map(toCellData) }))
+        ],
+        fields: 'userEnteredValue,userEnteredFormat'
+      }
+    },
+    {
+      autoResizeDimensions: {
+        dimensions: { sheetId, dimension: 'COLUMNS', startIndex: 0, endIndex: header.length }
+      }
+    }
+  ];
+}
+
+/**
+ * Add a link to each table's tab below the table itself
+ */
+function linkTables(content, tables) {
+  const lines = content.split('\n');
+
+  for (const table of [...tables].sort((a, b) => b.endLine - a.endLine)) {
+    lines.splice(table.endLine, 0, '', `[View ${table.name} in Google Sheets](${table.url})`, '');
+  }
+
+  return lines.join('\n');
+}
+
+/**
+ * Convert the tables in markdown to a new Google Sheet with one tab per table.
+ * With `linkedDocument`, the markdown is also converted to a Doc with a link under each table.
+ * Resolves to { spreadsheet, tables, document?, ...report }.
+ */
+async function convertMarkdownToSheet(authClient, options, requestId = 'unknown') {
+  const { options: resolved, report: frontMatter } = applyFrontMatter(options);
+  const { content, title = 'Untitled Spreadsheet', folderId, sharing } = resolved;
+
+  const tables = extractTables(content);
+
+  if (tables.length === 0) {
+    throw new SheetsError('Markdown does not contain any tables or csv code blocks');
+  }
+
+  if (tables.length > SHEETS_MAX_TABLES) {
+    throw new SheetsError(`Markdown contains ${tables.length} tables, more than the limit of ${SHEETS_MAX_TABLES}`);
+  }
+
+  const drive = google.drive({ version: 'v3', auth: authClient });
+  const sheetsApi = google.sheets({ version: 'v4', auth: authClient });
+
+  const fileMetadata = {
+    name: title,
+    mimeType: 'application/vnd.google-apps.spreadsheet'
+  };
+
+  if (folderId) {
+    fileMetadata.parents = [folderId];
+  }
+
+  console.log(`🚀 [${requestId}] Creating spreadsheet with ${tables.length} tab(s)...`);
+
+  const { data: spreadsheetData } = await drive.files.create({
+    resource: fileMetadata,
+    fields: SPREADSHEET_FIELDS
+  });
+
+  try {
+    // New spreadsheets start with an empty tab, which is replaced by the tables.
+    // It's renamed first so a table can take its title.
+    const { data: spreadsheet } = await sheetsApi.spreadsheets.get({
+      spreadsheetId: spreadsheetData.id,
+      fields: 'sheets.properties.sheetId'
+    });
+    const existingIds = (spreadsheet.sheets || []).map(sheet => sheet.properties.sheetId);
+
+    const names = uniqueTabNames(tables.map(table => table.name));
+    tables.forEach((table, index) => {
+      table.name = names[index];
+      table.sheetId = Math.max(0, ...existingIds) + index + 1;
+    });
+
+    const requests = [
+      ...existingIds.map(sheetId => ({
+        updateSheetProperties: { properties: { sheetId, title: `md2doc-removed-${sheetId}` }, fields: 'title' }
+      })),
+      ...tables.flatMap((table, index) => buildTableRequests(table, table.sheetId, index)),
+      ...existingIds.map(sheetId => ({ deleteSheet: { sheetId } }))
+    ];
+
+    await sheetsApi.spreadsheets.batchUpdate({
+      spreadsheetId: spreadsheetData.id,
+      requestBody: { requests }
+    });
+  } catch (error) {
+    // Don't leave a half-built spreadsheet behind
+    await drive.files.delete({ fileId: spreadsheetData.id }).catch(() => {});
+    throw error;
+  }
+
+  console.log(`✅ [${requestId}] Spreadsheet created: ${spreadsheetData.id}`);
+
+  if (sharing) {
+    console.log(`🔐 [${requestId}] Applying sharing settings...`);
+    await applySharing(drive, spreadsheetData.id, sharing, requestId);
+  }
+
+  const tabs = tables.map(table => ({
+    name: table.name,
+    sheetId: table.sheetId,
+    source: table.source,
+    line: table.line,
+    rows: table.rows.length - 1,
+    columns: table.rows[0].length,
+    url: `${spreadsheetData.webViewLink}#gid=${table.sheetId}`
+  }));
+
+  const result = {
+    spreadsheet: formatDocument(spreadsheetData),
+    tables: tabs,
+    frontMatter: frontMatter || undefined
+  };
+
+  if (resolved.linkedDocument) {
+    console.log(`🔗 [${requestId}] Converting linked document...`);
+    const { document, ...report } = await convertMarkdownToDoc(authClient, {
+      ...resolved,
+      content: linkTables(content, tabs.map((tab, index) => ({ ...tab, endLine: tables[index].endLine })))
+    }, requestId);
+
+    result.document = document;
+    result.images = report.images;
+  }
+
+  return result;
+}
+
+module.exports = {
+  SheetsError,
+  extractTables,
+  parseCsv,
+  toCellData,
+  convertMarkdownToSheet
+};
@@ -0,0 +1,408 @@
+const { google } = require('googleapis');
+const { mapFencedBlocks } = require('./linkRewriter');
+const { embedImages, removeUploadedImages } = require('./imageEmbedder');
+const { applyFrontMatter } = require('./frontMatter');
+const { formatDocument, applySharing } = require('./documentConverter');
+
+const PRESENTATION_FIELDS = 'id,name,webViewLink,webContentLink,createdTime';
+const SLIDES_MAX_COUNT = parseInt(process.env.SLIDES_MAX_COUNT) || 100;
+
+// The area below the title on the default 720x405pt page, left for content
+const CONTENT = { x: 36, y: 100, width: 648, height: 275 };
+const CODE_FONT = 'Roboto Mono';
+
+const THEMATIC_BREAK_PATTERN = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const HEADING_PATTERN = /^ {0,3}(#{1,6})[ \t]+(.*?)(?:[ \t]+#+)?[ \t]*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+]|\d+[.)])[ \t]+(.*)$/;
+const IMAGE_PATTERN = /!\[([^\]]*)\]\(\s*<?([^\s)>]+)>?(?:\s+"[^"]*")?\s*\)/g;
+const INLINE_PATTERN = /\*\*(.+?)\*\*|__(.+?)__|(?<![\w*])\*(?!\s)(.+?)\*(?!\w)|(?<!\w)_(?!\s)(.+?)_(?!\w)|`([^`]+)`|\[([^\]]+)\]\(([^)\s]+)(?:\s+"[^"]*")?\)/g;
+
+/**
+ * Raised when markdown can't be turned into a presentation
+ */
+class SlidesError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SlidesError';
+    this.status = 422;
+  }
+}
+
+/**
+ * Split markdown into slides. A thematic break (`---`) or a level 1-2 heading starts a new
+ * slide, and the first heading on a slide becomes its title.
+ */
+function parseSlides(content) {
+  const slides = [];
+  let slide = null;
+  let paragraph = null;
+
+  const newSlide = () => {
+    slide = { title: '', items: [], images: [] };
+    slides.push(slide);
+    paragraph = null;
+  };
+
+  const addItem = (item) => {
+    if (!slide) newSlide();
+    slide.items.push(item);
+    paragraph = null;
+  };
+
+  // Code blocks are pulled out first so their lines are never read as markdown
+  const codeBlocks = [];
+  const withoutCode = mapFencedBlocks(content, ({ code }) => {
+    codeBlocks.push(code);
+    return `\u0000code:${codeBlocks.length - 1}`;
+  });
+
+  for (const rawLine of withoutCode.split('\n')) {
+    const codeMatch = rawLine.match(/^\u0000code:(\d+)$/);
+    if (codeMatch) {
+      addItem({ type: 'code', text: codeBlocks[codeMatch[1]] });
+      continue;
+    }
+
+    if (THEMATIC_BREAK_PATTERN.test(rawLine)) {
+      newSlide();
+      continue;
+    }
+
+    // Images become slide content of their own, whatever line they are on
+    const images = Array.from(rawLine.matchAll(IMAGE_PATTERN));
+    if (images.length > 0) {
+      if (!slide) newSlide();
+      slide.images.push(...images.map(match => ({ alt: match[1], url: match[2] })));
+    }
+
+    const line = rawLine.replace(IMAGE_PATTERN, '').replace(/^\s*>\s?/, '');
+
+    if (!line.trim()) {
+      paragraph = null;
+      continue;
+    }
+
+    const heading = line.match(HEADING_PATTERN);
+    if (heading) {
+      const level = heading[1].length;
+
+      if (level <= 2 && (!slide || slide.title || slide.items.length > 0 || slide.images.length > images.length)) {
+        newSlide();
+      }
+
+      if (!slide.title && level <= 2) {
+        slide.title = heading[2];
+        paragraph = null;
+      } else {
+        addItem({ type: 'heading', text: heading[2] });
+      }
+      continue;
+    }
+
+    const listItem = line.match(LIST_ITEM_PATTERN);
+    if (listItem) {
+      addItem({
+        type: 'bullet',
+        ordered: /\d/.test(listItem[2]),
+        level: Math.min(Math.floor(listItem[1].replace(/\t/g, '  ').length / 2), 4),
+        text: listItem[3]
+      });
+      continue;
+    }
+
+    // Consecutive lines form one paragraph
+    if (paragraph) {
+      paragraph.text += ` ${line.trim()}`;
+    } else {
+      addItem({ type: 'paragraph', text: line.trim() });
+      paragraph = slide.items[slide.items.length - 1];
+    }
+  }
+
+  return slides.filter(item => item.title || item.items.length > 0 || item.images.length > 0);
+}
+
+/**
+ * Strip inline markdown, returning the plain text and the style ranges to apply to it
+ */
+function parseInline(text) {
+  let plain = '';
+  let lastIndex = 0;
+  const styles = [];
+
+  for (const match of text.matchAll(INLINE_PATTERN)) {
+    const [, strong, strongAlt, em, emAlt, code, linkText, linkUrl] = match;
+    plain += text.slice(lastIndex, match.index);
+    const start = plain.length;
+
+    if (strong || strongAlt) {
+      plain += strong || strongAlt;
+      styles.push({ start, end: plain.length, style: { bold: true }, fields: 'bold' });
+    } else if (em || emAlt) {
+      plain += em || emAlt;
+      styles.push({ start, end: plain.length, style: { italic: true }, fields: 'italic' });
+    } else if (code) {
+      plain += code;
+      styles.push({ start, end: plain.length, style: { fontFamily: CODE_FONT }, fields: 'fontFamily' });
+    } else {
+      plain += linkText;
+      styles.push({ start, end: plain.length, style: { link: { url: linkUrl } }, fields: 'link' });
+    }
+
+    lastIndex = match.index + match[0].length;
+  }
+
+  return { text: plain + text.slice(lastIndex), styles };
+}
+
+/**
+ * Lay out a slide's items as one block of text with style ranges and bullet runs.
+ * Nested bullets are indented with tabs, which the Slides API turns into nesting levels.
+ */
+function buildText(items) {
+  let text = '';
+  const styles = [];
+  const bullets = [];
+
+  items.forEach((item, index) => {
+    const start = text.length;
+
+    if (item.type === 'code') {
+      text += item.text;
+      styles.push({ start, end: text.length, style: { fontFamily: CODE_FONT }, fields: 'fontFamily' });
+    } else {
+      const prefix = item.type === 'bullet' ? '\t'.repeat(item.level) : '';
+      const inline = parseInline(item.text);
+      text += prefix + inline.text;
+
+      const offset = start + prefix.length;
+      styles.push(...inline.styles.map(range => ({ ...range, start: range.start + offset, end: range.end + offset })));
+
+      if (item.type === 'heading') {
+        styles.push({ start: offset, end: text.length, style: { bold: true }, fields: 'bold' });
+      }
+    }
+
+    if (item.type === 'bullet') {
+      const previous = bullets[bullets.length - 1];
+      const continues = previous && items[index - 1]?.type === 'bullet' && previous.ordered === item.ordered;
+
+      if (continues) {
+        previous.end = text.length;
+      } else {
+        bullets.push({ start, end: text.length, ordered: item.ordered });
+      }
+    }
+
+    if (index < items.length - 1) text += '\n';
+  });
+
+  return { text, styles, bullets };
+}
+
+/**
+ * Build the requests that fill a text shape with items
+ */
+function buildTextRequests(objectId, items) {
+  const { text, styles, bullets } = buildText(items);
+  if (!text) return [];
+
+  const range = ({ start, end }) => ({ type: 'FIXED_RANGE', startIndex: start, endIndex: end });
+  const requests = [{ insertText: { objectId, insertionIndex: 0, text } }];
+
+  for (const style of styles) {
+    if (style.end > style.start) {
+      requests.push({ updateTextStyle: { objectId, textRange: range(style), style: style.style, fields: style.fields } });
+    }
+  }
+
+  // Bullets remove the leading tabs, so later runs are converted first to keep earlier indexes valid
+  for (const bullet of [...bullets].reverse()) {
+    requests.push({
+      createParagraphBullets: {
+        objectId,
+        textRange: range(bullet),
+        bulletPreset: bullet.ordered ? 'NUMBERED_DIGIT_ALPHA_ROMAN' : 'BULLET_DISC_CIRCLE_SQUARE'
+      }
+    });
+  }
+
+  return requests;
+}
+
+/**
+ * Position and size of a page element, in points
+ */
+function elementProperties(pageObjectId, { x, y, width, height }) {
+  return {
+    pageObjectId,
+    size: {
+      width: { magnitude: width, unit: 'PT' },
+      height: { magnitude: height, unit: 'PT' }
+    },
+    transform: { scaleX: 1, scaleY: 1, translateX: x, translateY: y, unit: 'PT' }
+  };
+}
+
+/**
+ * Build the requests that create one slide with its title, text and images
+ */
+function buildSlideRequests(slide, index) {
+  const slideId = `md2s_${index}`;
+  const titleId = `${slideId}_title`;
+  const bodyId = `${slideId}_body`;
+  const hasText = slide.items.length > 0;
+  const hasImages = slide.images.length > 0;
+
+  // A first slide with just a heading and a line of text is a title slide
+  const isTitleSlide = index === 0 && !hasImages && slide.items.length <= 1 && slide.items.every(item => item.type === 'paragraph');
+
+  let layout = 'TITLE_ONLY';
+  const placeholderIdMappings = [{ layoutPlaceholder: { type: isTitleSlide ? 'CENTERED_TITLE' : 'TITLE' }, objectId: titleId }];
+
+  if (isTitleSlide) {
+    layout = 'TITLE';
+    placeholderIdMappings.push({ layoutPlaceholder: { type: 'SUBTITLE' }, objectId: bodyId });
+  } else if (hasText && !hasImages) {
+    layout = 'TITLE_AND_BODY';
+    placeholderIdMappings.push({ layoutPlaceholder: { type: 'BODY' }, objectId: bodyId });
+  }
+
+  const requests = [{
+    createSlide: {
+      objectId: slideId,
+      insertionIndex: index,
+      slideLayoutReference: { predefinedLayout: layout },
+      placeholderIdMappings
+    }
+  }];
+
+  if (slide.title) {
+    requests.push({ insertText: { objectId: titleId, insertionIndex: 0, text: parseInline(slide.title).text } });
+  }
+
+  // With images, text goes in a box on the left and the images share the rest of the width
+  let imageArea = CONTENT;
+  if (hasImages && hasText) {
+    const textWidth = Math.round(CONTENT.width * 0.5);
+    requests.push({
+      createShape: {
+        objectId: bodyId,
+        shapeType: 'TEXT_BOX',
+        elementProperties: elementProperties(slideId, { ...CONTENT, width: textWidth })
+      }
+    });
+    imageArea = { ...CONTENT, x: CONTENT.x + textWidth + 16, width: CONTENT.width - textWidth - 16 };
+  }
+
+  if (hasText) {
+    requests.push(...buildTextRequests(bodyId, slide.items));
+  }
+
+  const imageWidth = (imageArea.width - 16 * (slide.images.length - 1)) / slide.images.length;
+  slide.images.forEach((image, imageIndex) => {
+    requests.push({
+      createImage: {
+        objectId: `${slideId}_image_${imageIndex}`,
+        url: image.url,
+        // Images are scaled to fit this box, keeping their aspect ratio
+        elementProperties: elementProperties(slideId, {
+          ...imageArea,
+          x: imageArea.x + imageIndex * (imageWidth + 16),
+          width: imageWidth
+        })
+      }
+    });
+  });
+
+  return requests;
+}
+
+/**
+ * Convert markdown to a new Google Slides presentation.
+ * Resolves to { presentation, slideCount, ...report } with the same report sections as
+ * document conversions where they apply (`images`, `frontMatter`).
+ */
+async function convertMarkdownToSlides(authClient, options, requestId = 'unknown') {
+  const { options: resolved, report: frontMatter } = applyFrontMatter(options);
+  const { title = 'Untitled Presentation', folderId, sharing, images } = resolved;
+
+  const drive = google.drive({ version: 'v3', auth: authClient });
+  const slidesApi = google.slides({ version: 'v1', auth: authClient });
+
+  // Local and inline images are uploaded first so Slides can fetch them by URL
+  const embedded = await embedImages(drive, resolved.content, { images, folderId }, requestId);
+
+  try {
+    const slides = parseSlides(embedded.content);
+
+    if (slides.length === 0) {
+      throw new SlidesError('Markdown does not contain any slide content');
+    }
+
+    if (slides.length > SLIDES_MAX_COUNT) {
+      throw new SlidesError(`Markdown produces ${slides.length} slides, more than the limit of ${SLIDES_MAX_COUNT}`);
+    }
+
+    const fileMetadata = {
+      name: title,
+      mimeType: 'application/vnd.google-apps.presentation'
+    };
+
+    if (folderId) {
+      fileMetadata.parents = [folderId];
+    }
+
+    console.log(`🚀 [${requestId}] Creating presentation with ${slides.length} slide(s)...`);
+
+    const { data: presentationData } = await drive.files.create({
+      resource: fileMetadata,
+      fields: PRESENTATION_FIELDS
+    });
+
+    try {
+      // New presentations start with a blank slide, which is replaced by the generated ones
+      const { data: presentation } = await slidesApi.presentations.get({
+        presentationId: presentationData.id,
+        fields: 'slides.objectId'
+      });
+
+      const requests = slides.flatMap((slide, index) => buildSlideRequests(slide, index));
+      for (const existing of presentation.slides || []) {
+        requests.push({ deleteObject: { objectId: existing.objectId } });
+      }
+
+      await slidesApi.presentations.batchUpdate({
+        presentationId: presentationData.id,
+        requestBody: { requests }
+      });
+    } catch (error) {
+      // Don't leave a half-built presentation behind
+      await drive.files.delete({ fileId: presentationData.id }).catch(() => {});
+      throw error;
+    }
+
+    console.log(`✅ [${requestId}] Presentation created: ${presentationData.id}`);
+
+    if (sharing) {
+      console.log(`🔐 [${requestId}] Applying sharing settings...`);
+      await applySharing(drive, presentationData.id, sharing, requestId);
+    }
+
+    return {
+      presentation: formatDocument(presentationData),
+      slideCount: slides.length,
+      images: embedded.report || undefined,
+      frontMatter: frontMatter || undefined
+    };
+  } finally {
+    // Slides copies images when they are inserted, so the temporary uploads can go
+    await removeUploadedImages(drive, embedded.uploadedIds, requestId);
+  }
+}
+
+module.exports = {
+  SlidesError,
+  parseSlides,
+  convertMarkdownToSlides
+};
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logError } = require('../middleware/errorHandler');
+
+const STYLE_PROFILES_FILE = process.env.STYLE_PROFILES_FILE || path.join(__dirname, '../data/style-profiles.json');
+
+const HEX_COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+const PROFILE_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+/**
+ * Profiles every deployment ships with. Sizes, margins and spacing are in points,
+ * except lineSpacing which is a percentage of normal spacing.
+ */
+const BUILT_IN_PROFILES = {
+  corporate: {
+    description: 'Arial body text with navy headings and shaded code blocks',
+    font: { family: 'Arial', size: 11 },
+    lineSpacing: 115,
+    margins: { top: 72, bottom: 72, left: 72, right: 72 },
+    headings: {
+      font: 'Arial',
+      color: '#1a3d6d',
+      sizes: { 1: 20, 2: 16, 3: 14 }
+    },
+    codeBlocks: { font: 'Roboto Mono', background: '#f3f3f3' },
+    footer: '{title}'
+  },
+  compact: {
+    description: 'Small type and narrow margins for dense reference material',
+    font: { family: 'Roboto', size: 10 },
+    lineSpacing: 100,
+    margins: { top: 36, bottom: 36, left: 36, right: 36 },
+    headings: { font: 'Roboto', color: '#202124' },
+    codeBlocks: { font: 'Roboto Mono', background: '#f8f9fa' }
+  },
+  readable: {
+    description: 'Large serif body text with generous spacing for long-form reading',
+    font: { family: 'Georgia', size: 12 },
+    lineSpacing: 150,
+    margins: { top: 90, bottom: 90, left: 90, right: 90 },
+    headings: { font: 'Merriweather', color: '#3c4043' },
+    codeBlocks: { font: 'Source Code Pro', background: '#f1f3f4' }
+  }
+};
+
+const profiles = new Map();
+
+/**
+ * Check a profile definition, returning a list of problems (empty when it is valid)
+ */
+function validateProfile(profile) {
+  const problems = [];
+  const isNumber = (value, min, max) => typeof value === 'number' && value >= min && value <= max;
+
+  if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+    return ['Profile must be an object'];
+  }
+
+  if (profile.font) {
+    if (profile.font.family !== undefined && typeof profile.font.family !== 'string') problems.push('font.family must be a string');
+    if (profile.font.size !== undefined && !isNumber(profile.font.size, 6, 72)) problems.push('font.size must be between 6 and 72');
+  }
+
+  if (profile.lineSpacing !== undefined && !isNumber(profile.lineSpacing, 50, 300)) {
+    problems.push('lineSpacing must be a percentage between 50 and 300');
+  }
+
+  for (const [side, value] of Object.entries(profile.margins || {})) {
+    if (!['top', 'bottom', 'left', 'right'].includes(side)) problems.push(`margins.${side} is not a page margin`);
+    else if (!isNumber(value, 0, 288)) problems.push(`margins.${side} must be between 0 and 288 points`);
+  }
+
+  if (profile.headings) {
+    if (profile.headings.color !== undefined && !HEX_COLOR_PATTERN.test(profile.headings.color)) problems.push('headings.color must be a #rrggbb colour');
+    if (profile.headings.font !== undefined && typeof profile.headings.font !== 'string') problems.push('headings.font must be a string');
+    for (const [level, size] of Object.entries(profile.headings.sizes || {})) {
+      if (!/^[1-6]$/.test(level)) problems.push(`headings.sizes.${level} is not a heading level`);
+      else if (!isNumber(size, 6, 72)) problems.push(`headings.sizes.${level} must be between 6 and 72`);
+    }
+  }
+
+  if (profile.codeBlocks) {
+    if (profile.codeBlocks.background !== undefined && !HEX_COLOR_PATTERN.test(profile.codeBlocks.background)) problems.push('codeBlocks.background must be a #rrggbb colour');
+    if (profile.codeBlocks.font !== undefined && typeof profile.codeBlocks.font !== 'string') problems.push('codeBlocks.font must be a string');
+  }
+
+  for (const key of ['header', 'footer']) {
+    if (profile[key] !== undefined && typeof profile[key] !== 'string') problems.push(`${key} must be a string`);
+  }
+
+  return problems;
+}
+
+/**
+ * Load the built-in profiles plus any defined in the profiles file.
+ * Profiles in the file replace built-ins with the same name.
+ */
+async function loadProfiles() {
+  for (const [name, profile] of Object.entries(BUILT_IN_PROFILES)) {
+    profiles.set(name, { ...profile, builtIn: true });
+  }
+
+  try {
+    const data = await fs.readFile(STYLE_PROFILES_FILE, 'utf8');
+    const parsed = JSON.parse(data);
+
+    for (const [name, profile] of Object.entries(parsed)) {
+      const problems = PROFILE_NAME_PATTERN.test(name) ? validateProfile(profile) : ['Profile name must be 1-64 letters, numbers, hyphens or underscores'];
+
+      if (problems.length > 0) {
+        logError('Skipping invalid style profile', { name, problems });
+        continue;
+      }
+
+      profiles.set(name, { ...profile, builtIn: false });
+    }
+
+    console.log(`🎨 Loaded ${Object.keys(parsed).length} style profile(s) from ${STYLE_PROFILES_FILE}`);
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      logError('Failed to load style profiles', error);
+    }
+    // No profiles file, only the built-ins are available
+  }
+}
+
+const ready = loadProfiles();
+
+/**
+ * Get a style profile by name, or null if there is no such profile
+ */
+async function getProfile(name) {
+  await ready;
+  return profiles.get(name) || null;
+}
+
+/**
+ * List the available style profiles
+ */
+async function listProfiles() {
+  await ready;
+  return Array.from(profiles.entries()).map(([name, profile]) => ({ name, ...profile }));
+}
+
+module.exports = {
+  getProfile,
+  listProfiles,
+  validateProfile
+};
@@ -0,0 +1,100 @@
+const Mustache = require('mustache');
+
+// Characters with meaning in inline markdown - escaped in {{variable}} output
+const MARKDOWN_SPECIAL_CHARS = /[\\`*_[\]<>#|~]/g;
+
+/**
+ * Each call gets its own writer, as Mustache's global writer caches every template it
+ * parses and never evicts them
+ */
+function createWriter() {
+  return new Mustache.Writer();
+}
+
+/**
+ * Escape a value so it renders as literal text inside markdown
+ */
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(MARKDOWN_SPECIAL_CHARS, '\\$&')
+    // Stop values from turning into list items when placed at the start of a line
+    .replace(/^([-+])/, '\\$1')
+    .replace(/^(\d+)([.)])/, '$1\\$2');
+}
+
+/**
+ * Parse a template, returning a syntax error message instead of throwing
+ */
+function validateTemplate(content) {
+  try {
+    createWriter().parse(content);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
+
+/**
+ * Walk parsed template tokens against the variables, collecting names that are not provided.
+ * Sections are followed the same way Mustache renders them, so names inside loops are
+ * checked against every item.
+ */
+function collectMissing(tokens, context, missing) {
+  for (const token of tokens) {
+    const [type, name] = token;
+
+    if (type === 'name' || type === '&') {
+      if (context.lookup(name) === undefined) {
+        missing.add(name);
+      }
+      continue;
+    }
+
+    if (type !== '#' && type !== '^') continue;
+
+    const value = context.lookup(name);
+    if (value === undefined) {
+      missing.add(name);
+      continue;
+    }
+
+    const children = token[4];
+    const isEmpty = !value || (Array.isArray(value) && value.length === 0);
+
+    if (type === '^') {
+      if (isEmpty) collectMissing(children, context, missing);
+    } else if (Array.isArray(value)) {
+      value.forEach(item => collectMissing(children, context.push(item), missing));
+    } else if (!isEmpty) {
+      collectMissing(children, typeof value === 'object' ? context.push(value) : context, missing);
+    }
+  }
+}
+
+/**
+ * Render a markdown template with Mustache syntax: {{var}} (escaped), {{{var}}} (raw),
+ * {{#list}}...{{/list}} loops and conditionals, {{^flag}}...{{/flag}} inverted sections.
+ *
+ * Returns { content } on success, or { missing } listing every variable not provided.
+ */
+function renderTemplate(content, variables = {}) {
+  const writer = createWriter();
+  const tokens = writer.parse(content);
+  const missing = new Set();
+
+  collectMissing(tokens, new Mustache.Context(variables), missing);
+
+  if (missing.size > 0) {
+    return { missing: Array.from(missing) };
+  }
+
+  return {
+    content: writer.render(content, variables, {}, { escape: escapeMarkdown })
+  };
+}
+
+module.exports = {
+  renderTemplate,
+  validateTemplate,
+  escapeMarkdown
+};
@@ -0,0 +1,149 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { logError } = require('../middleware/errorHandler');
+const { LockedJsonFile } = require('./lockedJsonFile');
+
+const TEMPLATES_FILE = path.join(__dirname, '../data/templates.json');
+const DATA_DIR = path.join(__dirname, '../data');
+
+const TEMPLATE_MAX_PER_USER = parseInt(process.env.TEMPLATE_MAX_PER_USER) || 100;
+
+/**
+ * Restore the templates of one user read from JSON
+ */
+function parseUserTemplates(userTemplates) {
+  const templates = new Map();
+  for (const [name, value] of Object.entries(userTemplates)) {
+    templates.set(name, {
+      ...value,
+      createdAt: new Date(value.createdAt),
+      updatedAt: new Date(value.updatedAt)
+    });
+  }
+  return templates;
+}
+
+/**
+ * Template Store - persists each user's named markdown templates to data/templates.json,
+ * which every worker shares through a LockedJsonFile
+ */
+class TemplateStore {
+  constructor(filePath = TEMPLATES_FILE) {
+    // userId -> Map(name -> template)
+    this.file = new LockedJsonFile(filePath, {
+      parse: parsed => new Map(Object.entries(parsed).map(([userId, value]) => [userId, parseUserTemplates(value)])),
+      serialize: templates => Object.fromEntries(Array.from(templates, ([userId, value]) => [userId, Object.fromEntries(value)]))
+    });
+    this.ready = this.init();
+  }
+
+  async init() {
+    try {
+      // Ensure data directory exists
+      await fs.mkdir(DATA_DIR, { recursive: true });
+
+      const templates = await this.file.read();
+      console.log(`📂 Loaded templates for ${templates.size} users from storage`);
+
+      console.log('✅ Template Store initialised successfully');
+    } catch (error) {
+      logError('Failed to initialise Template Store', error);
+    }
+  }
+
+  /**
+   * List a user's templates without their content
+   */
+  async listTemplates(userId) {
+    await this.ready;
+
+    const templates = (await this.file.read()).get(userId) || new Map();
+
+    return Array.from(templates.entries()).map(([name, template]) => ({
+      name,
+      description: template.description,
+      contentLength: template.content.length,
+      createdAt: template.createdAt,
+      updatedAt: template.updatedAt
+    }));
+  }
+
+  /**
+   * Get a single template by name
+   */
+  async getTemplate(userId, name) {
+    await this.ready;
+
+    const template = (await this.file.read()).get(userId)?.get(name);
+    return template ? { name, ...template } : null;
+  }
+
+  /**
+   * Create or replace a template. Returns null when the user has reached the template limit.
+   */
+  async saveTemplate(userId, name, { content, description }) {
+    await this.ready;
+
+    // The limit is checked under the lock, so concurrent saves can't go past it
+    const saved = await this.file.update((allTemplates) => {
+      if (!allTemplates.has(userId)) {
+        allTemplates.set(userId, new Map());
+      }
+
+      const templates = allTemplates.get(userId);
+      const existing = templates.get(name);
+
+      if (!existing && templates.size >= TEMPLATE_MAX_PER_USER) {
+        return null;
+      }
+
+      const now = new Date();
+      const template = {
+        content,
+        description: description || '',
+        createdAt: existing ? existing.createdAt : now,
+        updatedAt: now
+      };
+
+      templates.set(name, template);
+      return { name, ...template, created: !existing };
+    });
+
+    if (saved) {
+      console.log(`📝 Saved template "${name}" for user: ${userId}`);
+    }
+
+    return saved;
+  }
+
+  /**
+   * Delete a template
+   */
+  async deleteTemplate(userId, name) {
+    await this.ready;
+
+    const deleted = await this.file.update((allTemplates) => {
+      const templates = allTemplates.get(userId);
+      if (!templates || !templates.delete(name)) {
+        return false;
+      }
+
+      if (templates.size === 0) {
+        allTemplates.delete(userId);
+      }
+
+      return true;
+    });
+
+    if (deleted) {
+      console.log(`🗑️ Deleted template "${name}" for user: ${userId}`);
+    }
+
+    return deleted;
+  }
+}
+
+// Create singleton instance
+const templateStore = new TemplateStore();
+
+module.exports = templateStore;
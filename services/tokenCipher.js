@@ -0,0 +1,131 @@
+const crypto = require('crypto');
+
+const ALGORITHM = 'aes-256-gcm';
+const PREFIX = 'enc:v1';
+
+let keyring = null;
+
+/**
+ * Decode a 32-byte key given as hex or base64. The key id is a short fingerprint
+ * stored with each ciphertext, so old ciphertexts can find their key after a rotation.
+ */
+function parseKey(value) {
+  const trimmed = value.trim();
+  const key = /^[0-9a-f]{64}$/i.test(trimmed)
+    ? Buffer.from(trimmed, 'hex')
+    : Buffer.from(trimmed, 'base64');
+
+  if (key.length !== 32) {
+    throw new Error('Token encryption keys must be 32 bytes, encoded as hex or base64');
+  }
+
+  return {
+    id: crypto.createHash('sha256').update(key).digest('hex').slice(0, 8),
+    key
+  };
+}
+
+/**
+ * Read TOKEN_ENCRYPTION_KEY and any TOKEN_ENCRYPTION_PREVIOUS_KEYS on first use
+ */
+function getKeyring() {
+  if (keyring) return keyring;
+
+  if (!process.env.TOKEN_ENCRYPTION_KEY) {
+    throw new Error('TOKEN_ENCRYPTION_KEY is not set, so stored Google tokens cannot be encrypted or read');
+  }
+
+  const current = parseKey(process.env.TOKEN_ENCRYPTION_KEY);
+  const previous = (process.env.TOKEN_ENCRYPTION_PREVIOUS_KEYS || '')
+    .split(',')
+    .filter(value => value.trim())
+    .map(parseKey);
+
+  keyring = {
+    current,
+    keys: new Map([current, ...previous].map(({ id, key }) => [id, key]))
+  };
+
+  return keyring;
+}
+
+/**
+ * Throw if the encryption keys are missing or malformed, so startup fails loudly
+ */
+function checkEncryptionKey() {
+  getKeyring();
+}
+
+/**
+ * Check whether a stored value is a ciphertext rather than a plaintext token
+ */
+function isEncrypted(value) {
+  return typeof value === 'string' && value.startsWith(`${PREFIX}:`);
+}
+
+/**
+ * Encrypt a token with the current key. Empty tokens are stored as they are.
+ */
+function encryptToken(token) {
+  if (!token) return token;
+
+  const { current } = getKeyring();
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, current.key, iv);
+  const data = Buffer.concat([cipher.update(token, 'utf8'), cipher.final()]);
+
+  return [PREFIX, current.id, iv.toString('base64'), cipher.getAuthTag().toString('base64'), data.toString('base64')].join(':');
+}
+
+/**
+ * Decrypt a token written by encryptToken with the current or a previous key
+ */
+function decryptToken(value) {
+  if (!isEncrypted(value)) return value;
+
+  const [, , keyId, iv, tag, data] = value.split(':');
+  const key = getKeyring().keys.get(keyId);
+
+  if (!key) {
+    throw new Error(`Token was encrypted with key ${keyId}, which is not in TOKEN_ENCRYPTION_KEY or TOKEN_ENCRYPTION_PREVIOUS_KEYS`);
+  }
+
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, Buffer.from(iv, 'base64'));
+  decipher.setAuthTag(Buffer.from(tag, 'base64'));
+
+  return Buffer.concat([decipher.update(Buffer.from(data, 'base64')), decipher.final()]).toString('utf8');
+}
+
+/**
+ * Check whether a stored value should be rewritten with the current key:
+ * plaintext from before encryption, or a ciphertext from a previous key
+ */
+function needsReencryption(value) {
+  if (!value) return false;
+  if (!isEncrypted(value)) return true;
+
+  return value.split(':')[2] !== getKeyring().current.id;
+}
+
+/**
+ * Keyed hashes of a secret under the current and then each previous key, for finding a
+ * record by the secret without storing it. Each hash starts with the id of its key.
+ */
+function lookupHashes(value) {
+  const { current, keys } = getKeyring();
+  const ids = [current.id, ...Array.from(keys.keys()).filter(id => id !== current.id)];
+
+  return ids.map((id) => {
+    // A separate HMAC key per encryption key, so the encryption key isn't used for two purposes
+    const hmacKey = crypto.createHmac('sha256', keys.get(id)).update('md2doc lookup hash').digest();
+    return `${id}:${crypto.createHmac('sha256', hmacKey).update(value).digest('hex')}`;
+  });
+}
+
+module.exports = {
+  checkEncryptionKey,
+  encryptToken,
+  decryptToken,
+  needsReencryption,
+  lookupHashes
+};